@@ -39,12 +39,53 @@ const elements = {
   dailyQuote: document.getElementById('daily-quote'),
   remindersToggle: document.getElementById('reminders-toggle'),
   reminderSettings: document.getElementById('reminder-settings'),
+  reminderStats: document.getElementById('reminder-stats'),
+  pauseBanner: document.getElementById('pause-banner'),
+  pauseBannerText: document.getElementById('pause-banner-text'),
+  resumeRemindersBtn: document.getElementById('resume-reminders-btn'),
+  pauseControls: document.getElementById('pause-controls'),
+  pauseUntil: document.getElementById('pause-until'),
+  pauseTodayBtn: document.getElementById('pause-today-btn'),
+  pauseUntilBtn: document.getElementById('pause-until-btn'),
+  weeklyToggle: document.getElementById('weekly-toggle'),
+  everydaySettings: document.getElementById('everyday-settings'),
+  weeklyEditor: document.getElementById('weekly-editor'),
   remindersCount: document.getElementById('reminders-count'),
   remindersCountValue: document.getElementById('reminders-count-value'),
   startTime: document.getElementById('start-time'),
   endTime: document.getElementById('end-time'),
+  minGap: document.getElementById('min-gap'),
+  snoozeMinutes: document.getElementById('snooze-minutes'),
+  smartTimingToggle: document.getElementById('smart-timing-toggle'),
+  promptCategories: document.getElementById('prompt-categories'),
+  customPrompts: document.getElementById('custom-prompts'),
   notificationStatus: document.getElementById('notification-status'),
   enableNotificationsBtn: document.getElementById('enable-notifications-btn'),
+  subscriptionAlert: document.getElementById('subscription-alert'),
+  subscriptionAlertText: document.getElementById('subscription-alert-text'),
+  reenableRemindersBtn: document.getElementById('reenable-reminders-btn'),
+  recentRemindersCard: document.getElementById('recent-reminders-card'),
+  todaysReminders: document.getElementById('todays-reminders'),
+  deliveryLog: document.getElementById('delivery-log'),
+  devicesCard: document.getElementById('devices-card'),
+  deviceList: document.getElementById('device-list'),
+  showPairingCodeBtn: document.getElementById('show-pairing-code-btn'),
+  pairingCodePanel: document.getElementById('pairing-code-panel'),
+  pairingQr: document.getElementById('pairing-qr'),
+  pairingCode: document.getElementById('pairing-code'),
+  pairingExpiry: document.getElementById('pairing-expiry'),
+  pairingCodeInput: document.getElementById('pairing-code-input'),
+  redeemPairingCodeBtn: document.getElementById('redeem-pairing-code-btn'),
+  syncSetup: document.getElementById('sync-setup'),
+  syncActive: document.getElementById('sync-active'),
+  syncPassphrase: document.getElementById('sync-passphrase'),
+  syncStatus: document.getElementById('sync-status'),
+  enableSyncBtn: document.getElementById('enable-sync-btn'),
+  syncNowBtn: document.getElementById('sync-now-btn'),
+  disableSyncBtn: document.getElementById('disable-sync-btn'),
+  exportJournalBtn: document.getElementById('export-journal-btn'),
+  exportServerDataBtn: document.getElementById('export-server-data-btn'),
+  deleteAccountBtn: document.getElementById('delete-account-btn'),
   installPrompt: document.getElementById('install-prompt'),
   installNowBtn: document.getElementById('install-now'),
   installLaterBtn: document.getElementById('install-later'),
@@ -76,9 +117,28 @@ async function init() {
   // Initialize push notifications
   await window.Push.initializePush();
 
+  // Pick up a token the service worker got while re-subscribing
+  await window.Storage.restoreMirroredCredentials();
+
+  // Claim device credentials if this browser subscribed before they existed
+  await window.Push.ensureCredentials();
+
+  // Give the service worker a copy of the user ID and credentials
+  await window.Storage.mirrorIdentity();
+
+  // Move this browser's subscription over if the backend rotated its VAPID key
+  await window.Push.refreshVapidKey();
+
   // Update notification status
   updateNotificationStatus();
 
+  // Warn if the push service expired this device's subscription
+  checkSubscriptionStatus();
+
+  // Pull journal changes from other devices
+  renderSyncStatus();
+  runSync();
+
   // Check for hash-based navigation (from notification click)
   handleHashNavigation();
 
@@ -158,6 +218,12 @@ function navigateTo(viewName) {
   } else if (viewName === 'home') {
     renderTodayEntries();
     updateGreeting();
+  } else if (viewName === 'settings') {
+    checkSubscriptionStatus();
+    refreshPauseState();
+    renderReminderStats();
+    renderRecentReminders();
+    renderDevices();
   }
 
   currentView = viewName;
@@ -192,10 +258,43 @@ function setupEventListeners() {
   // Time inputs
   elements.startTime.addEventListener('change', saveSettingsDebounced);
   elements.endTime.addEventListener('change', saveSettingsDebounced);
+  elements.minGap.addEventListener('change', saveSettingsDebounced);
+  elements.snoozeMinutes.addEventListener('change', saveSettingsDebounced);
+  elements.smartTimingToggle.addEventListener('change', saveSettingsDebounced);
+
+  // Reminder prompts
+  elements.promptCategories.addEventListener('change', saveSettingsDebounced);
+  elements.customPrompts.addEventListener('change', saveSettingsDebounced);
+
+  // Pause and resume
+  elements.pauseTodayBtn.addEventListener('click', pauseForToday);
+  elements.pauseUntilBtn.addEventListener('click', pauseUntilDate);
+  elements.resumeRemindersBtn.addEventListener('click', resumeReminders);
+
+  // Weekly plan
+  elements.weeklyToggle.addEventListener('change', handleWeeklyToggle);
+  elements.weeklyEditor.addEventListener('change', handleWeeklyEditorChange);
 
   // Enable notifications button
   elements.enableNotificationsBtn.addEventListener('click', enableNotifications);
 
+  // Re-enable reminders after the subscription expired
+  elements.reenableRemindersBtn.addEventListener('click', reenableReminders);
+
+  // Device pairing
+  elements.showPairingCodeBtn.addEventListener('click', showPairingCode);
+  elements.redeemPairingCodeBtn.addEventListener('click', redeemPairingCode);
+
+  // Backup & sync
+  elements.enableSyncBtn.addEventListener('click', enableSync);
+  elements.syncNowBtn.addEventListener('click', runSync);
+  elements.disableSyncBtn.addEventListener('click', disableSync);
+
+  // Data export and account deletion
+  elements.exportJournalBtn.addEventListener('click', exportJournal);
+  elements.exportServerDataBtn.addEventListener('click', exportServerData);
+  elements.deleteAccountBtn.addEventListener('click', deleteAccount);
+
   // Install prompt
   window.addEventListener('beforeinstallprompt', (e) => {
     e.preventDefault();
@@ -228,6 +327,11 @@ function saveEntry() {
 
   // Re-render entries
   renderTodayEntries();
+  syncDebounced();
+
+  if (window.Storage.getSettings().enabled) {
+    window.Push.reportEntry();
+  }
 
   // Quick feedback animation on button
   elements.saveEntryBtn.style.transform = 'scale(1.05)';
@@ -286,6 +390,7 @@ function deleteEntry(id) {
   if (confirm('Delete this entry?')) {
     window.Storage.deleteEntry(id);
     renderTodayEntries();
+    syncDebounced();
 
     // Also refresh history if we're on that view
     if (currentView === 'history') {
@@ -440,9 +545,21 @@ function loadSettings() {
   elements.remindersCountValue.textContent = settings.remindersPerDay;
   elements.startTime.value = settings.startTime;
   elements.endTime.value = settings.endTime;
+  elements.minGap.value = String(settings.minGapMinutes || 30);
+  elements.snoozeMinutes.value = String(settings.snoozeMinutes || 30);
+  elements.smartTimingToggle.checked = Boolean(settings.smartTiming);
+  renderPromptCategories(settings.promptCategories);
+  elements.customPrompts.value = (settings.customPrompts || []).join('\n');
+
+  elements.weeklyToggle.checked = Boolean(settings.weekly);
+  renderWeeklyEditor(settings.weekly || weeklyFromEveryday(settings));
+  elements.weeklyEditor.classList.toggle('hidden', !settings.weekly);
+  elements.everydaySettings.classList.toggle('hidden', Boolean(settings.weekly));
 
   // Show/hide reminder settings based on toggle
   elements.reminderSettings.classList.toggle('hidden', !settings.enabled);
+
+  renderPauseState();
 }
 
 /**
@@ -476,6 +593,13 @@ async function handleRemindersToggle() {
       elements.reminderSettings.classList.add('hidden');
       return;
     }
+  } else {
+    // Stop the backend holding (and pushing to) a subscription nobody wants
+    try {
+      await window.Push.unsubscribeFromPush();
+    } catch (error) {
+      console.error('Failed to unsubscribe:', error);
+    }
   }
 
   saveSettingsDebounced();
@@ -501,6 +625,199 @@ function saveSettingsDebounced() {
   saveSettingsTimer = setTimeout(saveAllSettings, 500);
 }
 
+// Weekly plan keys and labels, Monday first
+const WEEKDAYS = [
+  ['mon', 'Mon'], ['tue', 'Tue'], ['wed', 'Wed'], ['thu', 'Thu'],
+  ['fri', 'Fri'], ['sat', 'Sat'], ['sun', 'Sun']
+];
+
+/**
+ * A weekly plan with the everyday settings on every day
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function weeklyFromEveryday(settings) {
+  const weekly = {};
+  for (const [day] of WEEKDAYS) {
+    weekly[day] = {
+      enabled: true,
+      remindersPerDay: settings.remindersPerDay,
+      startTime: settings.startTime,
+      endTime: settings.endTime
+    };
+  }
+  return weekly;
+}
+
+/**
+ * Render one row per weekday into the weekly editor
+ * @param {Object} weekly
+ */
+function renderWeeklyEditor(weekly) {
+  elements.weeklyEditor.innerHTML = WEEKDAYS.map(([day, label]) => {
+    const plan = weekly[day] || { enabled: false, remindersPerDay: 1, startTime: '09:00', endTime: '21:00' };
+    return `
+      <div class="weekday-row${plan.enabled ? '' : ' off'}" data-day="${day}">
+        <label class="weekday-name">
+          <input type="checkbox" class="weekday-enabled" ${plan.enabled ? 'checked' : ''}>
+          ${label}
+        </label>
+        <input type="number" class="weekday-count" min="1" max="10" value="${plan.remindersPerDay}" aria-label="${label} reminders">
+        <input type="time" class="weekday-start" value="${plan.startTime}" aria-label="${label} start time">
+        <input type="time" class="weekday-end" value="${plan.endTime}" aria-label="${label} end time">
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Read the weekly plan from the editor
+ * @returns {Object}
+ */
+function readWeeklyEditor() {
+  const weekly = {};
+  elements.weeklyEditor.querySelectorAll('.weekday-row').forEach(row => {
+    weekly[row.dataset.day] = {
+      enabled: row.querySelector('.weekday-enabled').checked,
+      remindersPerDay: parseInt(row.querySelector('.weekday-count').value, 10),
+      startTime: row.querySelector('.weekday-start').value,
+      endTime: row.querySelector('.weekday-end').value
+    };
+  });
+  return weekly;
+}
+
+/**
+ * Switch between one plan for every day and a plan per weekday
+ */
+function handleWeeklyToggle() {
+  const weekly = elements.weeklyToggle.checked;
+
+  if (weekly) {
+    renderWeeklyEditor(weeklyFromEveryday({
+      remindersPerDay: parseInt(elements.remindersCount.value, 10),
+      startTime: elements.startTime.value,
+      endTime: elements.endTime.value
+    }));
+  }
+
+  elements.weeklyEditor.classList.toggle('hidden', !weekly);
+  elements.everydaySettings.classList.toggle('hidden', weekly);
+  saveSettingsDebounced();
+}
+
+/**
+ * Handle edits in the weekly editor
+ * @param {Event} e
+ */
+function handleWeeklyEditorChange(e) {
+  const row = e.target.closest('.weekday-row');
+  if (row && e.target.classList.contains('weekday-enabled')) {
+    row.classList.toggle('off', !e.target.checked);
+  }
+  saveSettingsDebounced();
+}
+
+// Prompt categories, keep in sync with PROMPT_CATEGORIES in worker/src/prompts.js
+const PROMPT_CATEGORIES = [
+  ['people', 'People'],
+  ['pleasures', 'Small pleasures'],
+  ['challenges', 'Challenges overcome'],
+  ['nature', 'Nature'],
+  ['body', 'Body and health'],
+  ['growth', 'Learning and growth'],
+  ['home', 'Home and everyday things']
+];
+const MAX_CUSTOM_PROMPTS = 20;
+const MAX_PROMPT_LENGTH = 140;
+
+/**
+ * Render a checkbox per prompt category
+ * @param {string[]|null} enabled - Enabled category IDs, null for all
+ */
+function renderPromptCategories(enabled) {
+  elements.promptCategories.innerHTML = PROMPT_CATEGORIES.map(([id, label]) => {
+    const checked = !enabled || enabled.includes(id);
+    return `
+      <label class="prompt-category">
+        <input type="checkbox" value="${id}" ${checked ? 'checked' : ''}>
+        ${label}
+      </label>
+    `;
+  }).join('');
+}
+
+/**
+ * Read the enabled prompt categories
+ * @returns {string[]|null} Category IDs, or null when all are enabled so new ones show up too
+ */
+function readPromptCategories() {
+  const checked = [...elements.promptCategories.querySelectorAll('input:checked')].map(input => input.value);
+  return checked.length === PROMPT_CATEGORIES.length ? null : checked;
+}
+
+/**
+ * Read the custom prompts, one per non-empty line
+ * @returns {string[]}
+ */
+function readCustomPrompts() {
+  return elements.customPrompts.value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check the everyday plan, or every enabled day of the weekly plan
+ * @param {Object} settings
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateReminderSettings(settings) {
+  if (settings.customPrompts.length > MAX_CUSTOM_PROMPTS) {
+    return `Add at most ${MAX_CUSTOM_PROMPTS} prompts of your own.`;
+  }
+  if (settings.customPrompts.some(prompt => prompt.length > MAX_PROMPT_LENGTH)) {
+    return `Keep each of your prompts under ${MAX_PROMPT_LENGTH} characters.`;
+  }
+
+  if (!settings.weekly) {
+    return validateDayPlan(settings, settings.minGapMinutes);
+  }
+
+  for (const [day, label] of WEEKDAYS) {
+    const plan = settings.weekly[day];
+    const problem = plan.enabled && validateDayPlan(plan, settings.minGapMinutes);
+    if (problem) return `${label}: ${problem}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check that a day's reminders fit its window with the chosen gap
+ * @param {{remindersPerDay: number, startTime: string, endTime: string}} plan
+ * @param {number} minGapMinutes
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateDayPlan(plan, minGapMinutes) {
+  if (!(plan.remindersPerDay >= 1 && plan.remindersPerDay <= 10)) {
+    return 'Choose between 1 and 10 reminders.';
+  }
+
+  // An end before the start crosses midnight
+  if (!plan.startTime || !plan.endTime || plan.startTime === plan.endTime) {
+    return 'End time must differ from start time.';
+  }
+
+  const windowMinutes = (timeToMinutes(plan.endTime) - timeToMinutes(plan.startTime) + 24 * 60) % (24 * 60);
+  const maxReminders = Math.floor((windowMinutes - 1) / minGapMinutes) + 1;
+  if (plan.remindersPerDay > maxReminders) {
+    return `This window fits at most ${maxReminders} reminder(s) ${minGapMinutes} minutes apart. Widen the window, lower the gap, or choose fewer reminders.`;
+  }
+
+  return null;
+}
+
 /**
  * Save all settings to localStorage and backend
  */
@@ -510,12 +827,20 @@ async function saveAllSettings() {
     remindersPerDay: parseInt(elements.remindersCount.value, 10),
     startTime: elements.startTime.value,
     endTime: elements.endTime.value,
+    minGapMinutes: parseInt(elements.minGap.value, 10),
+    snoozeMinutes: parseInt(elements.snoozeMinutes.value, 10),
+    weekly: elements.weeklyToggle.checked ? readWeeklyEditor() : null,
+    pausedUntil: window.Storage.getSettings().pausedUntil || null,
+    smartTiming: elements.smartTimingToggle.checked,
+    promptCategories: readPromptCategories(),
+    customPrompts: readCustomPrompts(),
     timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
   };
 
-  // Validate time range
-  if (settings.startTime >= settings.endTime) {
-    alert('End time must be after start time.');
+  // Validate each day's window against the chosen gap
+  const problem = settings.enabled && validateReminderSettings(settings);
+  if (problem) {
+    alert(problem);
     return;
   }
 
@@ -531,6 +856,488 @@ async function saveAllSettings() {
   }
 }
 
+/**
+ * Show how many reminders led to an entry, and how far smart timing has got
+ */
+async function renderReminderStats() {
+  if (!window.Storage.getSettings().enabled || !window.Storage.getCredentials()) {
+    elements.reminderStats.classList.add('hidden');
+    return;
+  }
+
+  const result = await window.Push.getReminderStats();
+  const lines = [];
+
+  if (result && result.stats.delivered > 0) {
+    const { stats } = result;
+    const percent = Math.round(stats.entryRate * 100);
+    lines.push(`Reminders that led to an entry: ${percent}% (${stats.ledToEntry} of ${stats.delivered} in the last ${stats.periodDays} days).`);
+  }
+
+  if (result && result.timing && window.Storage.getSettings().smartTiming) {
+    const { timing } = result;
+    lines.push(timing.active
+      ? 'Smart timing is on and adjusts to your habits every day.'
+      : `Smart timing is still learning (${timing.samples} of ${timing.needed}).`);
+  }
+
+  elements.reminderStats.textContent = lines.join(' ');
+  elements.reminderStats.classList.toggle('hidden', lines.length === 0);
+}
+
+/**
+ * Show the active pause, or the controls to start one
+ */
+function renderPauseState() {
+  const { pausedUntil } = window.Storage.getSettings();
+  const paused = Boolean(pausedUntil) && pausedUntil > window.Storage.getLocalDate();
+
+  if (paused) {
+    const resumeDate = window.Storage.formatDateForDisplay(pausedUntil);
+    elements.pauseBannerText.textContent = `Reminders are paused. They resume ${resumeDate === 'Today' ? 'today' : `on ${resumeDate}`}.`;
+  }
+
+  elements.pauseBanner.classList.toggle('hidden', !paused);
+  elements.pauseControls.classList.toggle('hidden', paused);
+  elements.pauseUntil.min = addDaysToLocalDate(window.Storage.getLocalDate(), 1);
+}
+
+/**
+ * Pick up a pause set on another device
+ */
+async function refreshPauseState() {
+  if (!window.Storage.getSettings().enabled || !window.Storage.getCredentials()) return;
+
+  const remote = await window.Push.getSettingsFromBackend();
+  if (!remote) return;
+
+  const settings = window.Storage.getSettings();
+  if ((remote.pausedUntil || null) !== (settings.pausedUntil || null)) {
+    window.Storage.saveSettings({ ...settings, pausedUntil: remote.pausedUntil || null });
+    renderPauseState();
+  }
+}
+
+/**
+ * Pause reminders until a date, or resume them with null
+ * @param {string|null} until - Date in YYYY-MM-DD format
+ */
+async function setPause(until) {
+  let pausedUntil;
+  try {
+    pausedUntil = await window.Push.pauseReminders(until);
+  } catch (error) {
+    console.error('Failed to update pause:', error);
+    alert('Failed to update reminders. Please try again.');
+    return;
+  }
+
+  window.Storage.saveSettings({ ...window.Storage.getSettings(), pausedUntil });
+  renderPauseState();
+}
+
+/**
+ * Skip the rest of today's reminders; they resume tomorrow
+ */
+function pauseForToday() {
+  setPause(addDaysToLocalDate(window.Storage.getLocalDate(), 1));
+}
+
+/**
+ * Pause reminders until the chosen date
+ */
+function pauseUntilDate() {
+  const until = elements.pauseUntil.value;
+  if (!until || until <= window.Storage.getLocalDate()) {
+    alert('Choose a date after today.');
+    return;
+  }
+  setPause(until);
+}
+
+/**
+ * Resume reminders before the pause ends
+ */
+function resumeReminders() {
+  setPause(null);
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function addDaysToLocalDate(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  const shifted = new Date(year, month - 1, day + days);
+  return shifted.getFullYear() + '-' +
+    String(shifted.getMonth() + 1).padStart(2, '0') + '-' +
+    String(shifted.getDate()).padStart(2, '0');
+}
+
+/**
+ * Convert HH:MM to minutes since midnight
+ * @param {string} time
+ * @returns {number}
+ */
+function timeToMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Render the Devices card from the backend's device list
+ */
+async function renderDevices() {
+  if (!window.Storage.getCredentials()) {
+    elements.devicesCard.classList.add('hidden');
+    return;
+  }
+
+  let devices;
+  try {
+    devices = await window.Push.listDevices();
+  } catch (error) {
+    console.error('Failed to load devices:', error);
+    elements.devicesCard.classList.add('hidden');
+    return;
+  }
+
+  elements.devicesCard.classList.toggle('hidden', devices.length === 0);
+  elements.deviceList.innerHTML = devices.map(device => {
+    const lastSeen = device.lastSeen ? new Date(device.lastSeen).toLocaleDateString() : 'unknown';
+    const status = device.status === 'expired' ? 'Subscription expired' : `Last seen ${lastSeen}`;
+    return `
+      <div class="device-row">
+        <div>
+          <div class="device-name">${escapeHtml(device.label)}${device.current ? ' (this device)' : ''}</div>
+          <div class="device-meta">${escapeHtml(status)}</div>
+        </div>
+        ${device.current ? '' : `<button class="btn btn-secondary btn-sm" data-device-id="${escapeHtml(device.deviceId)}">Revoke</button>`}
+      </div>
+    `;
+  }).join('');
+
+  elements.deviceList.querySelectorAll('[data-device-id]').forEach(btn => {
+    btn.addEventListener('click', () => revokeDevice(btn.dataset.deviceId));
+  });
+}
+
+// How each delivery outcome from the worker is shown
+const DELIVERY_OUTCOMES = {
+  delivered: 'Delivered',
+  retrying: 'Failed, trying again',
+  failed: 'Failed',
+  expired: 'Subscription expired'
+};
+
+/**
+ * Show today's reminders and the latest delivery attempts
+ */
+async function renderRecentReminders() {
+  if (!window.Storage.getSettings().enabled || !window.Storage.getCredentials()) {
+    elements.recentRemindersCard.classList.add('hidden');
+    return;
+  }
+
+  let log;
+  try {
+    log = await window.Push.getDeliveryLog();
+  } catch (error) {
+    console.error('Failed to load deliveries:', error);
+    elements.recentRemindersCard.classList.add('hidden');
+    return;
+  }
+
+  const reminders = log.today ? log.today.reminders : [];
+  const now = new Date().toISOString().slice(0, 16);
+  elements.todaysReminders.innerHTML = reminders.length === 0
+    ? '<p class="setting-hint">No reminders scheduled today.</p>'
+    : reminders.map(reminder => {
+      let status = reminder.utcKey > now ? 'Upcoming' : 'Not sent';
+      if (reminder.sent) status = 'Sent';
+      return `
+        <div class="device-row">
+          <div class="device-name">${escapeHtml(reminder.time)}${reminder.snoozed ? ' (snoozed)' : ''}</div>
+          <div class="device-meta">${status}</div>
+        </div>
+      `;
+    }).join('');
+
+  elements.deliveryLog.innerHTML = log.attempts.length === 0
+    ? '<p class="setting-hint">Nothing sent yet.</p>'
+    : log.attempts.map(attempt => {
+      const at = new Date(attempt.attemptedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+      const failed = attempt.outcome !== 'delivered';
+      const detail = failed && attempt.statusCode ? ` (${attempt.statusCode})` : '';
+      return `
+        <div class="device-row">
+          <div>
+            <div class="device-name">${escapeHtml(at)}</div>
+            <div class="device-meta">${escapeHtml(attempt.deviceLabel)}</div>
+            ${failed && attempt.error ? `<div class="device-meta">${escapeHtml(attempt.error)}</div>` : ''}
+          </div>
+          <div class="device-meta${failed ? ' failed' : ''}">
+            ${DELIVERY_OUTCOMES[attempt.outcome] || escapeHtml(attempt.outcome)}${detail}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+  elements.recentRemindersCard.classList.remove('hidden');
+}
+
+/**
+ * Revoke a device after confirmation
+ * @param {string} deviceId
+ */
+async function revokeDevice(deviceId) {
+  if (!confirm('Revoke this device? It will stop receiving reminders.')) return;
+
+  try {
+    await window.Push.revokeDevice(deviceId);
+  } catch (error) {
+    console.error('Failed to revoke device:', error);
+    alert('Failed to revoke device. Please try again.');
+  }
+  renderDevices();
+}
+
+// Pairing code countdown timer
+let pairingTimer = null;
+
+/**
+ * Show a pairing code (as text and QR code) for linking another device
+ */
+async function showPairingCode() {
+  let pairing;
+  try {
+    pairing = await window.Push.createPairingCode();
+  } catch (error) {
+    console.error('Failed to create pairing code:', error);
+    alert('Failed to create a pairing code. Please try again.');
+    return;
+  }
+
+  const link = `${window.location.origin}${window.location.pathname}#pair=${pairing.code}`;
+  elements.pairingQr.innerHTML = window.QRCode.toSvg(link);
+  elements.pairingCode.textContent = pairing.code;
+  elements.pairingCodePanel.classList.remove('hidden');
+
+  clearInterval(pairingTimer);
+  const updateExpiry = () => {
+    const secondsLeft = Math.round((Date.parse(pairing.expiresAt) - Date.now()) / 1000);
+    if (secondsLeft <= 0) {
+      clearInterval(pairingTimer);
+      elements.pairingCodePanel.classList.add('hidden');
+      return;
+    }
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = String(secondsLeft % 60).padStart(2, '0');
+    elements.pairingExpiry.textContent = `Expires in ${minutes}:${seconds}. Can be used once.`;
+  };
+  updateExpiry();
+  pairingTimer = setInterval(updateExpiry, 1000);
+}
+
+/**
+ * Link this device to another device's journal with a pairing code
+ */
+async function redeemPairingCode() {
+  const code = elements.pairingCodeInput.value.trim();
+  if (!code) {
+    elements.pairingCodeInput.focus();
+    return;
+  }
+
+  if (!confirm('Link this device to the other device\'s journal? Reminders and sync will use that account from now on.')) {
+    return;
+  }
+
+  try {
+    await window.Push.redeemPairingCode(code);
+  } catch (error) {
+    console.error('Failed to redeem pairing code:', error);
+    alert(error.message || 'Failed to link this device. Please try again.');
+    return;
+  }
+
+  elements.pairingCodeInput.value = '';
+  renderSyncStatus();
+  renderDevices();
+  alert('This device is now linked. Turn on sync with the same passphrase to see your journal here.');
+}
+
+/**
+ * Show either the sync setup form or the active sync status
+ */
+function renderSyncStatus() {
+  const enabled = window.Sync.isSyncEnabled();
+  elements.syncSetup.classList.toggle('hidden', enabled);
+  elements.syncActive.classList.toggle('hidden', !enabled);
+
+  if (enabled) {
+    const state = window.Storage.getSyncState();
+    let status = state.lastSyncedAt
+      ? `Sync is on. Last synced ${new Date(state.lastSyncedAt).toLocaleString()}.`
+      : 'Sync is on.';
+
+    const rejected = (state.rejected || []).length;
+    if (rejected === 1) {
+      status += ' One entry is too long to back up; shorten it to sync it.';
+    } else if (rejected > 1) {
+      status += ` ${rejected} entries are too long to back up; shorten them to sync them.`;
+    }
+    elements.syncStatus.textContent = status;
+  }
+}
+
+/**
+ * Turn on sync button handler
+ */
+async function enableSync() {
+  const passphrase = elements.syncPassphrase.value;
+  if (passphrase.length < 8) {
+    alert('Please choose a passphrase with at least 8 characters.');
+    return;
+  }
+
+  elements.enableSyncBtn.disabled = true;
+  try {
+    await window.Sync.enableSync(passphrase);
+    elements.syncPassphrase.value = '';
+    refreshEntryViews();
+  } catch (error) {
+    console.error('Failed to enable sync:', error);
+    alert(error.message || 'Failed to turn on sync. Please try again.');
+  } finally {
+    elements.enableSyncBtn.disabled = false;
+    renderSyncStatus();
+  }
+}
+
+/**
+ * Turn off sync button handler
+ */
+function disableSync() {
+  if (confirm('Turn off sync on this device? Your backup stays available to your other devices.')) {
+    window.Sync.disableSync();
+    renderSyncStatus();
+  }
+}
+
+/**
+ * Export journal button handler: download this device's entries
+ */
+function exportJournal() {
+  downloadJson(`gratitude-journal-${window.Storage.getLocalDate()}.json`, {
+    exportedAt: new Date().toISOString(),
+    entries: window.Storage.getAllEntries()
+  });
+}
+
+/**
+ * Download server data button handler
+ */
+async function exportServerData() {
+  elements.exportServerDataBtn.disabled = true;
+
+  try {
+    if (!await window.Push.ensureCredentials()) {
+      alert('This device has no data on the server yet.');
+      return;
+    }
+
+    const data = await window.Push.exportServerData();
+    downloadJson(`gratitude-server-data-${window.Storage.getLocalDate()}.json`, data);
+  } catch (error) {
+    console.error('Failed to export server data:', error);
+    alert('Failed to download your server data. Please try again.');
+  } finally {
+    elements.exportServerDataBtn.disabled = false;
+  }
+}
+
+/**
+ * Save an object as a JSON file
+ * @param {string} filename
+ * @param {Object} data
+ */
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Delete account button handler: erase the backend's data for this user,
+ * unsubscribe, then wipe local storage and start over
+ */
+async function deleteAccount() {
+  if (!confirm('Delete your account and all your data? Your entries on this device, your reminders and your sync backup will be erased. This cannot be undone.')) {
+    return;
+  }
+
+  elements.deleteAccountBtn.disabled = true;
+
+  try {
+    await window.Push.deleteAccount();
+  } catch (error) {
+    console.error('Failed to delete account:', error);
+    alert('Failed to delete your data on the server. Nothing was deleted on this device; please try again.');
+    elements.deleteAccountBtn.disabled = false;
+    return;
+  }
+
+  window.Storage.clearAllData();
+  window.location.reload();
+}
+
+/**
+ * Sync with the backend and re-render if other devices changed entries
+ */
+async function runSync() {
+  if (!window.Sync.isSyncEnabled()) return;
+
+  try {
+    const { changed } = await window.Sync.syncNow();
+    if (changed) refreshEntryViews();
+  } catch (error) {
+    console.error('Failed to sync:', error);
+  }
+  renderSyncStatus();
+}
+
+// Debounce timer
+let syncTimer = null;
+
+/**
+ * Debounced sync after local changes
+ */
+function syncDebounced() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(runSync, 2000);
+}
+
+/**
+ * Re-render the views that show entries
+ */
+function refreshEntryViews() {
+  renderTodayEntries();
+  if (currentView === 'history') {
+    renderHistory();
+  } else if (currentView === 'summary') {
+    renderSummary();
+  }
+}
+
 /**
  * Update notification status display
  */
@@ -555,6 +1362,45 @@ function updateNotificationStatus() {
   }
 }
 
+/**
+ * Ask the backend whether this device's subscription is still alive and
+ * explain in Settings if reminders stopped because it expired
+ */
+async function checkSubscriptionStatus() {
+  const settings = window.Storage.getSettings();
+  if (!settings.enabled || !window.Push.isPushSupported()) {
+    elements.subscriptionAlert.classList.add('hidden');
+    return;
+  }
+
+  const status = await window.Push.getSubscriptionStatus();
+  const expired = status && status.status === 'expired';
+  // The browser replaced the subscription and the backend never got the new one
+  const missing = status && status.status === 'none' && window.Storage.getCredentials();
+
+  if (expired) {
+    elements.subscriptionAlertText.textContent =
+      'Your reminders stopped because this device\'s subscription expired. Re-enable to start them again.';
+  } else if (missing) {
+    elements.subscriptionAlertText.textContent =
+      'Your reminders stopped because this browser changed its push subscription. Re-enable to start them again.';
+  }
+  elements.subscriptionAlert.classList.toggle('hidden', !expired && !missing);
+}
+
+/**
+ * Re-enable reminders button handler
+ */
+async function reenableReminders() {
+  try {
+    await window.Push.resubscribeToPush();
+    elements.subscriptionAlert.classList.add('hidden');
+  } catch (error) {
+    console.error('Failed to re-subscribe:', error);
+    alert('Failed to re-enable reminders. Please try again.');
+  }
+}
+
 /**
  * Enable notifications button handler
  */
@@ -592,6 +1438,11 @@ function handleHashNavigation() {
   if (window.location.hash === '#entry') {
     elements.entryText.focus();
     window.location.hash = '';
+  } else if (window.location.hash.startsWith('#pair=')) {
+    // Opened from a pairing QR code
+    elements.pairingCodeInput.value = decodeURIComponent(window.location.hash.slice('#pair='.length));
+    window.location.hash = '';
+    navigateTo('settings');
   }
 }
 
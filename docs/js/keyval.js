@@ -0,0 +1,79 @@
+/**
+ * KeyVal module - a small IndexedDB key-value store shared by the pages and
+ * the service worker, which cannot read localStorage
+ *
+ * Loaded with a <script> tag in index.html and importScripts() in sw.js.
+ */
+
+const KEYVAL_DB_NAME = 'gratitude';
+const KEYVAL_STORE_NAME = 'keyval';
+
+let keyvalDbPromise = null;
+
+/**
+ * Open (and on first use create) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openKeyValDb() {
+  if (!keyvalDbPromise) {
+    keyvalDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(KEYVAL_DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(KEYVAL_STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again
+    keyvalDbPromise.catch(() => { keyvalDbPromise = null; });
+  }
+  return keyvalDbPromise;
+}
+
+/**
+ * Run one request against the store
+ * @param {IDBTransactionMode} mode
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+async function withKeyValStore(mode, operation) {
+  const db = await openKeyValDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(KEYVAL_STORE_NAME, mode);
+    const request = operation(transaction.objectStore(KEYVAL_STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get a value
+ * @param {string} key
+ * @returns {Promise<*>} The value, or undefined
+ */
+function keyvalGet(key) {
+  return withKeyValStore('readonly', store => store.get(key));
+}
+
+/**
+ * Store a value
+ * @param {string} key
+ * @param {*} value - Anything structured-cloneable
+ */
+async function keyvalSet(key, value) {
+  await withKeyValStore('readwrite', store => store.put(value, key));
+}
+
+/**
+ * Delete a value
+ * @param {string} key
+ */
+async function keyvalDelete(key) {
+  await withKeyValStore('readwrite', store => store.delete(key));
+}
+
+// Export functions (self is the window on pages, the worker in sw.js)
+self.KeyVal = {
+  get: keyvalGet,
+  set: keyvalSet,
+  delete: keyvalDelete
+};
@@ -5,6 +5,45 @@
 // Backend API URL
 const API_URL = 'https://gratitude-worker.jonas-vdheyden.workers.dev';
 
+// How long to wait for the service worker to answer a request
+const SERVICE_WORKER_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Build request headers, including this device's bearer token if it has one
+ * @param {Object} [extra] - Additional headers
+ * @returns {Object}
+ */
+function authHeaders(extra = {}) {
+  const credentials = window.Storage.getCredentials();
+  const headers = { ...extra };
+
+  if (credentials && credentials.token) {
+    headers['Authorization'] = `Bearer ${credentials.token}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Human-readable label for this device, e.g. "Chrome on Android"
+ * @returns {string}
+ */
+function getDeviceLabel() {
+  const ua = navigator.userAgent;
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome'
+    : /Safari\//.test(ua) ? 'Safari'
+    : 'Browser';
+  const os = /Android/.test(ua) ? 'Android'
+    : /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+    : /Mac OS X/.test(ua) ? 'macOS'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Linux/.test(ua) ? 'Linux'
+    : 'unknown OS';
+  return `${browser} on ${os}`;
+}
+
 /**
  * Check if push notifications are supported
  * @returns {boolean}
@@ -47,6 +86,23 @@ async function getVapidPublicKey() {
   }
 }
 
+/**
+ * The VAPID key a subscription was created with, where the browser exposes it
+ * @param {PushSubscription} subscription
+ * @returns {string|null} base64url public key
+ */
+function getSubscriptionKey(subscription) {
+  const key = subscription.options && subscription.options.applicationServerKey;
+  if (!key) return null;
+
+  const bytes = new Uint8Array(key);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return window.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
 /**
  * Convert a base64 string to Uint8Array (for VAPID key)
  * @param {string} base64String
@@ -79,6 +135,11 @@ async function subscribeToPush() {
 
   if (subscription) {
     console.log('Already subscribed to push');
+
+    // Subscribed before device credentials existed: register to obtain them
+    if (!window.Storage.getCredentials()) {
+      await sendSubscriptionToBackend(subscription);
+    }
     return subscription;
   }
 
@@ -94,6 +155,10 @@ async function subscribeToPush() {
 
   console.log('Subscribed to push:', subscription);
 
+  // The service worker re-subscribes with the same key if the browser drops this subscription
+  await window.KeyVal.set('vapidPublicKey', vapidPublicKey)
+    .catch(error => console.error('Failed to store VAPID key:', error));
+
   // Send subscription to backend
   await sendSubscriptionToBackend(subscription);
 
@@ -101,7 +166,8 @@ async function subscribeToPush() {
 }
 
 /**
- * Send push subscription to backend for storage
+ * Send push subscription to backend for storage.
+ * The backend answers with a new device token, which replaces the old one.
  * @param {PushSubscription} subscription
  */
 async function sendSubscriptionToBackend(subscription) {
@@ -109,12 +175,14 @@ async function sendSubscriptionToBackend(subscription) {
 
   const response = await fetch(`${API_URL}/api/subscribe`, {
     method: 'POST',
-    headers: {
+    headers: authHeaders({
       'Content-Type': 'application/json'
-    },
+    }),
     body: JSON.stringify({
       userId,
-      subscription: subscription.toJSON()
+      subscription: subscription.toJSON(),
+      deviceLabel: getDeviceLabel(),
+      vapidPublicKey: getSubscriptionKey(subscription) || undefined
     })
   });
 
@@ -122,24 +190,370 @@ async function sendSubscriptionToBackend(subscription) {
     throw new Error('Failed to save subscription to backend');
   }
 
+  const data = await response.json();
+  window.Storage.saveCredentials({ deviceId: data.deviceId, token: data.token });
+
   console.log('Subscription saved to backend');
 }
 
 /**
- * Unsubscribe from push notifications
+ * Register this device with the backend without a push subscription,
+ * to obtain API credentials (e.g. for journal sync)
+ */
+async function registerDevice() {
+  const userId = window.Storage.getUserId();
+
+  const response = await fetch(`${API_URL}/api/register`, {
+    method: 'POST',
+    headers: authHeaders({
+      'Content-Type': 'application/json'
+    }),
+    body: JSON.stringify({ userId })
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to register device with backend');
+  }
+
+  const data = await response.json();
+  window.Storage.saveCredentials({ deviceId: data.deviceId, token: data.token });
+}
+
+/**
+ * Make sure this device holds API credentials.
+ * Browsers that subscribed before credentials existed still have a push
+ * subscription but no token; re-registering it claims one for their user ID.
+ * @returns {Promise<boolean>} Whether credentials are available
+ */
+async function ensureCredentials() {
+  if (window.Storage.getCredentials()) return true;
+  if (!isPushSupported() || getNotificationPermission() !== 'granted') return false;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription();
+    if (!subscription) return false;
+
+    await sendSubscriptionToBackend(subscription);
+    return true;
+  } catch (error) {
+    console.error('Failed to recover device credentials:', error);
+    return false;
+  }
+}
+
+/**
+ * Unsubscribe from push notifications and tell the backend to forget this
+ * device's subscription
  * @returns {Promise<boolean>}
  */
 async function unsubscribeFromPush() {
+  const endpoint = await dropLocalSubscription();
+  if (!endpoint) return false;
+
+  await removeSubscriptionFromBackend(endpoint);
+  return true;
+}
+
+/**
+ * Unsubscribe this browser without telling the backend
+ * @returns {Promise<string|null>} The dropped subscription's endpoint
+ */
+async function dropLocalSubscription() {
   const registration = await navigator.serviceWorker.ready;
   const subscription = await registration.pushManager.getSubscription();
+  if (!subscription) return null;
 
-  if (subscription) {
-    await subscription.unsubscribe();
-    console.log('Unsubscribed from push');
-    return true;
+  await subscription.unsubscribe();
+  console.log('Unsubscribed from push');
+  return subscription.endpoint;
+}
+
+/**
+ * Remove this device's subscription from the backend. Failures are only
+ * logged: the push service will report the endpoint gone soon enough.
+ * @param {string} endpoint - The subscription being dropped
+ */
+async function removeSubscriptionFromBackend(endpoint) {
+  if (!window.Storage.getCredentials()) return;
+
+  try {
+    const response = await fetch(`${API_URL}/api/unsubscribe`, {
+      method: 'POST',
+      headers: authHeaders({
+        'Content-Type': 'application/json'
+      }),
+      body: JSON.stringify({ userId: window.Storage.getUserId(), endpoint })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Unsubscribe failed with status ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Failed to remove subscription from backend:', error);
   }
+}
 
-  return false;
+/**
+ * Ask the service worker to re-subscribe this browser. Re-subscribing
+ * rotates the device token, so only the service worker does it, one change
+ * at a time; a page doing it too could race a push that asks for the same.
+ * @param {string} type - MOVE_TO_CURRENT_KEY or RESUBSCRIBE (see sw.js)
+ * @returns {Promise<boolean>} Whether it re-subscribed
+ */
+async function askServiceWorkerToResubscribe(type) {
+  const registration = await navigator.serviceWorker.ready;
+
+  const reply = await new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timeout = setTimeout(() => reject(new Error('Service worker did not answer')), SERVICE_WORKER_TIMEOUT_MS);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timeout);
+      resolve(event.data || {});
+    };
+    registration.active.postMessage({ type }, [channel.port2]);
+  });
+
+  if (reply.error) {
+    throw new Error(reply.error);
+  }
+  if (!reply.identity) return false;
+
+  // Also broadcast as credentials-changed, but that message may arrive after this one
+  if (reply.identity.userId === window.Storage.getUserId()) {
+    window.Storage.saveCredentials(reply.identity.credentials);
+  }
+  return true;
+}
+
+/**
+ * Drop this browser's current subscription and subscribe again. Used when
+ * the push service has expired the old one. The backend replaces this
+ * device's entry with the new subscription.
+ * @returns {Promise<PushSubscription>}
+ */
+async function resubscribeToPush() {
+  // The service worker needs a device token to re-subscribe; without one
+  // this is a first subscribe, which issues it
+  if (!window.Storage.getCredentials()) {
+    await dropLocalSubscription();
+    return subscribeToPush();
+  }
+
+  await askServiceWorkerToResubscribe('RESUBSCRIBE');
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+}
+
+/**
+ * Have the service worker re-subscribe if this browser's subscription was
+ * created with a VAPID key the backend has since replaced
+ * @returns {Promise<boolean>} Whether it re-subscribed
+ */
+async function refreshVapidKey() {
+  if (!isPushSupported() || getNotificationPermission() !== 'granted') return false;
+  if (!window.Storage.getCredentials()) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription();
+    if (!subscription) return false;
+
+    const subscribedKey = getSubscriptionKey(subscription);
+    const currentKey = await getVapidPublicKey();
+    if (!subscribedKey || subscribedKey === currentKey) return false;
+
+    console.log('VAPID key changed, asking the service worker to re-subscribe');
+    return await askServiceWorkerToResubscribe('MOVE_TO_CURRENT_KEY');
+  } catch (error) {
+    console.error('Failed to refresh VAPID key:', error);
+    return false;
+  }
+}
+
+/**
+ * Get this device's subscription status from the backend
+ * @returns {Promise<{status: string, reason?: string, expiredAt?: string}|null>}
+ */
+async function getSubscriptionStatus() {
+  const userId = window.Storage.getUserId();
+
+  try {
+    const response = await fetch(`${API_URL}/api/subscription-status/${userId}`, {
+      headers: authHeaders()
+    });
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    console.error('Failed to get subscription status:', error);
+    return null;
+  }
+}
+
+/**
+ * Ask the backend for a short-lived code that links another device
+ * @returns {Promise<{code: string, expiresAt: string}>}
+ */
+async function createPairingCode() {
+  if (!window.Storage.getCredentials()) {
+    await registerDevice();
+  }
+
+  const userId = window.Storage.getUserId();
+
+  const response = await fetch(`${API_URL}/api/pairing`, {
+    method: 'POST',
+    headers: authHeaders({
+      'Content-Type': 'application/json'
+    }),
+    body: JSON.stringify({ userId })
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to create pairing code');
+  }
+
+  return response.json();
+}
+
+/**
+ * Redeem a pairing code: this device adopts the other device's user ID and
+ * gets its own credentials. An existing push subscription is replaced with
+ * one registered under the new user ID.
+ * @param {string} code
+ */
+async function redeemPairingCode(code) {
+  const response = await fetch(`${API_URL}/api/pairing/redeem`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ code })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to redeem pairing code');
+  }
+
+  const data = await response.json();
+
+  // Drop the old subscription while the old user ID's credentials can still
+  // remove it from the backend
+  let resubscribe = false;
+  if (isPushSupported() && getNotificationPermission() === 'granted') {
+    resubscribe = await unsubscribeFromPush();
+  }
+
+  window.Storage.adoptUserId(data.userId);
+  window.Storage.saveCredentials({ deviceId: data.deviceId, token: data.token });
+
+  if (resubscribe) {
+    await subscribeToPush();
+  }
+}
+
+/**
+ * List the user's devices that receive reminders
+ * @returns {Promise<Array<Object>>}
+ */
+async function listDevices() {
+  const userId = window.Storage.getUserId();
+
+  const response = await fetch(`${API_URL}/api/devices/${userId}`, {
+    headers: authHeaders()
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to load devices');
+  }
+
+  const data = await response.json();
+  return data.devices;
+}
+
+/**
+ * Get recent push deliveries and today's reminders from the backend
+ * @returns {Promise<{attempts: Array, today: Object|null}>}
+ */
+async function getDeliveryLog() {
+  const userId = window.Storage.getUserId();
+
+  const response = await fetch(`${API_URL}/api/deliveries/${userId}`, {
+    headers: authHeaders()
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to load deliveries');
+  }
+
+  return response.json();
+}
+
+/**
+ * Revoke another device: it stops receiving reminders and loses API access
+ * @param {string} deviceId
+ */
+async function revokeDevice(deviceId) {
+  const userId = window.Storage.getUserId();
+
+  const response = await fetch(`${API_URL}/api/devices/revoke`, {
+    method: 'POST',
+    headers: authHeaders({
+      'Content-Type': 'application/json'
+    }),
+    body: JSON.stringify({ userId, deviceId })
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to revoke device');
+  }
+}
+
+/**
+ * Get everything the backend stores for this user as one document
+ * @returns {Promise<Object>}
+ */
+async function exportServerData() {
+  const userId = window.Storage.getUserId();
+
+  const response = await fetch(`${API_URL}/api/export/${userId}`, {
+    headers: authHeaders()
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to export data');
+  }
+
+  return response.json();
+}
+
+/**
+ * Delete everything the backend stores for this user, then drop this
+ * browser's push subscription. Devices without credentials have nothing
+ * they could delete on the backend.
+ */
+async function deleteAccount() {
+  if (window.Storage.getCredentials()) {
+    const userId = window.Storage.getUserId();
+
+    const response = await fetch(`${API_URL}/api/account/delete`, {
+      method: 'POST',
+      headers: authHeaders({
+        'Content-Type': 'application/json'
+      }),
+      body: JSON.stringify({ userId })
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to delete account');
+    }
+  }
+
+  // The backend has already forgotten this subscription, so a failure here is only logged
+  if (isPushSupported()) {
+    await dropLocalSubscription().catch(error => console.error('Failed to unsubscribe:', error));
+  }
 }
 
 /**
@@ -151,9 +565,9 @@ async function saveSettingsToBackend(settings) {
 
   const response = await fetch(`${API_URL}/api/settings`, {
     method: 'POST',
-    headers: {
+    headers: authHeaders({
       'Content-Type': 'application/json'
-    },
+    }),
     body: JSON.stringify({
       userId,
       settings: {
@@ -164,12 +578,82 @@ async function saveSettingsToBackend(settings) {
   });
 
   if (!response.ok) {
-    throw new Error('Failed to save settings to backend');
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to save settings to backend');
   }
 
   console.log('Settings saved to backend');
 }
 
+/**
+ * Pause reminders until a local date, or resume them with null
+ * @param {string|null} until - Date in YYYY-MM-DD format
+ * @returns {Promise<string|null>} The date reminders resume on, if paused
+ */
+async function pauseReminders(until) {
+  const userId = window.Storage.getUserId();
+
+  const response = await fetch(`${API_URL}/api/pause`, {
+    method: 'POST',
+    headers: authHeaders({
+      'Content-Type': 'application/json'
+    }),
+    body: JSON.stringify({ userId, until })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to pause reminders');
+  }
+
+  const data = await response.json();
+  return data.pausedUntil;
+}
+
+/**
+ * Tell the backend an entry was just written, so it can credit the reminder
+ * that prompted it
+ */
+async function reportEntry() {
+  if (!window.Storage.getCredentials()) return;
+
+  const userId = window.Storage.getUserId();
+
+  try {
+    await fetch(`${API_URL}/api/events`, {
+      method: 'POST',
+      headers: authHeaders({
+        'Content-Type': 'application/json'
+      }),
+      body: JSON.stringify({
+        userId,
+        events: [{ type: 'entry', at: new Date().toISOString() }]
+      })
+    });
+  } catch (error) {
+    console.error('Failed to report entry:', error);
+  }
+}
+
+/**
+ * Get reminder engagement stats and smart timing progress from the backend
+ * @returns {Promise<{stats: Object, timing: Object|null}|null>}
+ */
+async function getReminderStats() {
+  const userId = window.Storage.getUserId();
+
+  try {
+    const response = await fetch(`${API_URL}/api/stats/${userId}`, {
+      headers: authHeaders()
+    });
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    console.error('Failed to get reminder stats:', error);
+    return null;
+  }
+}
+
 /**
  * Get settings from backend
  * @returns {Promise<Object|null>}
@@ -178,7 +662,9 @@ async function getSettingsFromBackend() {
   const userId = window.Storage.getUserId();
 
   try {
-    const response = await fetch(`${API_URL}/api/settings/${userId}`);
+    const response = await fetch(`${API_URL}/api/settings/${userId}`, {
+      headers: authHeaders()
+    });
     const data = await response.json();
     return data.settings;
   } catch (error) {
@@ -210,6 +696,11 @@ async function initializePush() {
         // Trigger entry modal open
         window.dispatchEvent(new CustomEvent('open-entry-modal'));
       }
+      // The service worker re-subscribed and the backend rotated this device's token
+      if (event.data && event.data.action === 'credentials-changed' &&
+          event.data.userId === window.Storage.getUserId()) {
+        window.Storage.saveCredentials(event.data.credentials);
+      }
     });
 
     return true;
@@ -225,8 +716,24 @@ window.Push = {
   getNotificationPermission,
   requestNotificationPermission,
   subscribeToPush,
+  registerDevice,
+  ensureCredentials,
+  authHeaders,
   unsubscribeFromPush,
+  resubscribeToPush,
+  refreshVapidKey,
+  getSubscriptionStatus,
+  listDevices,
+  revokeDevice,
+  exportServerData,
+  deleteAccount,
+  createPairingCode,
+  redeemPairingCode,
   saveSettingsToBackend,
+  pauseReminders,
+  reportEntry,
+  getReminderStats,
+  getDeliveryLog,
   getSettingsFromBackend,
   initializePush,
   API_URL
@@ -0,0 +1,353 @@
+/**
+ * QR code module - minimal QR code generator for pairing links
+ *
+ * Encodes text in byte mode with error correction level M, versions 1-10
+ * (up to 213 bytes), which is plenty for a pairing URL. Renders to SVG.
+ */
+
+(function () {
+  // Per version (index 1-10): EC codewords per block, [block count, data codewords per block] groups
+  const EC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+  const BLOCK_GROUPS = [
+    null,
+    [[1, 16]], [[1, 28]], [[1, 44]], [[2, 32]], [[2, 43]],
+    [[4, 27]], [[4, 31]], [[2, 38], [2, 39]], [[3, 36], [2, 37]], [[4, 43], [1, 44]]
+  ];
+  const ALIGNMENT_POSITIONS = [
+    null,
+    [], [6, 18], [6, 22], [6, 26], [6, 30],
+    [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+  ];
+  const MAX_VERSION = 10;
+
+  /**
+   * Encode text as a QR code module matrix
+   * @param {string} text
+   * @returns {{size: number, modules: boolean[][]}}
+   */
+  function encode(text) {
+    const bytes = new TextEncoder().encode(text);
+
+    let version = 1;
+    for (; version <= MAX_VERSION; version++) {
+      const countBits = version < 10 ? 8 : 16;
+      if (4 + countBits + bytes.length * 8 <= dataCodewordCount(version) * 8) break;
+    }
+    if (version > MAX_VERSION) {
+      throw new Error('Text too long for QR code');
+    }
+
+    const codewords = addErrorCorrection(buildDataCodewords(bytes, version), version);
+    const size = version * 4 + 17;
+    const modules = grid(size, false);
+    const isFunction = grid(size, false);
+
+    drawFunctionPatterns(modules, isFunction, version);
+    drawCodewords(modules, isFunction, codewords);
+
+    // Pick the mask with the lowest penalty
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      applyMask(modules, isFunction, mask);
+      drawFormatBits(modules, isFunction, mask);
+      const penalty = penaltyScore(modules);
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      applyMask(modules, isFunction, mask); // XOR again to undo
+    }
+
+    applyMask(modules, isFunction, bestMask);
+    drawFormatBits(modules, isFunction, bestMask);
+
+    return { size, modules };
+  }
+
+  /**
+   * Render text as an SVG QR code
+   * @param {string} text
+   * @returns {string} SVG markup
+   */
+  function toSvg(text) {
+    const { size, modules } = encode(text);
+    const border = 4;
+    let path = '';
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) path += `M${x + border},${y + border}h1v1h-1z`;
+      }
+    }
+
+    const total = size + border * 2;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#FFFFFF"/><path d="${path}" fill="#000000"/></svg>`;
+  }
+
+  function dataCodewordCount(version) {
+    return BLOCK_GROUPS[version].reduce((sum, [count, data]) => sum + count * data, 0);
+  }
+
+  function buildDataCodewords(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4); // Byte mode
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(b => push(b, 8));
+
+    const capacityBits = dataCodewordCount(version) * 8;
+    push(0, Math.min(4, capacityBits - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  }
+
+  function addErrorCorrection(data, version) {
+    const ecLength = EC_CODEWORDS_PER_BLOCK[version];
+    const generator = reedSolomonGenerator(ecLength);
+    const dataBlocks = [];
+    const ecBlocks = [];
+
+    let offset = 0;
+    for (const [count, length] of BLOCK_GROUPS[version]) {
+      for (let i = 0; i < count; i++) {
+        const block = data.slice(offset, offset + length);
+        offset += length;
+        dataBlocks.push(block);
+        ecBlocks.push(reedSolomonRemainder(block, generator));
+      }
+    }
+
+    // Interleave data blocks, then EC blocks
+    const result = [];
+    const maxData = Math.max(...dataBlocks.map(b => b.length));
+    for (let i = 0; i < maxData; i++) {
+      dataBlocks.forEach(block => { if (i < block.length) result.push(block[i]); });
+    }
+    for (let i = 0; i < ecLength; i++) {
+      ecBlocks.forEach(block => result.push(block[i]));
+    }
+    return result;
+  }
+
+  function gfMultiply(a, b) {
+    let result = 0;
+    for (let i = 7; i >= 0; i--) {
+      result = (result << 1) ^ ((result >>> 7) * 0x11D);
+      result ^= ((b >>> i) & 1) * a;
+    }
+    return result;
+  }
+
+  function reedSolomonGenerator(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function reedSolomonRemainder(data, generator) {
+    const result = new Array(generator.length).fill(0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      generator.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+  }
+
+  function grid(size, value) {
+    return Array.from({ length: size }, () => new Array(size).fill(value));
+  }
+
+  function setFunctionModule(modules, isFunction, x, y, dark) {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  }
+
+  function drawFunctionPatterns(modules, isFunction, version) {
+    const size = modules.length;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      setFunctionModule(modules, isFunction, 6, i, i % 2 === 0);
+      setFunctionModule(modules, isFunction, i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunctionModule(modules, isFunction, x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+
+    // Alignment patterns, skipping the three that would overlap finders
+    const positions = ALIGNMENT_POSITIONS[version];
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            setFunctionModule(modules, isFunction, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve format areas (real bits are drawn after masking)
+    drawFormatBits(modules, isFunction, 0);
+
+    // Version information (versions 7 and up)
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        setFunctionModule(modules, isFunction, a, b, dark);
+        setFunctionModule(modules, isFunction, b, a, dark);
+      }
+    }
+  }
+
+  function drawFormatBits(modules, isFunction, mask) {
+    const size = modules.length;
+    const data = mask; // EC level M is 0b00
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) setFunctionModule(modules, isFunction, 8, i, bit(i));
+    setFunctionModule(modules, isFunction, 8, 7, bit(6));
+    setFunctionModule(modules, isFunction, 8, 8, bit(7));
+    setFunctionModule(modules, isFunction, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunctionModule(modules, isFunction, 14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) setFunctionModule(modules, isFunction, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunctionModule(modules, isFunction, 8, size - 15 + i, bit(i));
+    setFunctionModule(modules, isFunction, 8, size - 8, true); // Dark module
+  }
+
+  function drawCodewords(modules, isFunction, codewords) {
+    const size = modules.length;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  function applyMask(modules, isFunction, mask) {
+    const size = modules.length;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (isFunction[y][x]) continue;
+        let invert;
+        switch (mask) {
+          case 0: invert = (x + y) % 2 === 0; break;
+          case 1: invert = y % 2 === 0; break;
+          case 2: invert = x % 3 === 0; break;
+          case 3: invert = (x + y) % 3 === 0; break;
+          case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+          case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+          case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+          default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+        }
+        if (invert) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  function penaltyScore(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    let dark = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    for (const line of lines) {
+      // Runs of five or more same-colored modules
+      let runLength = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          runLength++;
+        } else {
+          if (runLength >= 5) penalty += runLength - 2;
+          runLength = 1;
+        }
+      }
+
+      // Finder-like patterns
+      const text = line.map(m => (m ? '1' : '0')).join('');
+      penalty += 40 * (text.split('10111010000').length - 1);
+      penalty += 40 * (text.split('00001011101').length - 1);
+    }
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        // 2x2 blocks of the same color
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) {
+            penalty += 3;
+          }
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    penalty += 10 * Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size));
+
+    return penalty;
+  }
+
+  window.QRCode = {
+    encode,
+    toSvg
+  };
+})();
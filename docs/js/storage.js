@@ -4,10 +4,17 @@
 
 const STORAGE_KEYS = {
   USER_ID: 'gratitude_user_id',
+  CREDENTIALS: 'gratitude_credentials',
   ENTRIES: 'gratitude_entries',
-  SETTINGS: 'gratitude_settings'
+  TOMBSTONES: 'gratitude_tombstones',
+  SETTINGS: 'gratitude_settings',
+  SYNC_STATE: 'gratitude_sync_state'
 };
 
+// The sync key lives in IndexedDB (see keyval.js) as a non-extractable
+// CryptoKey, so it is never readable as text
+const SYNC_KEY_NAME = 'syncKey';
+
 /**
  * Generate a UUID v4
  * @returns {string}
@@ -29,13 +36,78 @@ function getUserId() {
   if (!userId) {
     userId = generateUUID();
     localStorage.setItem(STORAGE_KEYS.USER_ID, userId);
+    mirrorIdentity();
   }
   return userId;
 }
 
+/**
+ * Adopt another device's user ID (after pairing). Sync state belongs to the
+ * old ID's backup, so it is reset.
+ * @param {string} userId
+ */
+function adoptUserId(userId) {
+  localStorage.setItem(STORAGE_KEYS.USER_ID, userId);
+  saveSyncState(null);
+  mirrorIdentity();
+}
+
+/**
+ * Get this device's API credentials issued by the backend
+ * @returns {{deviceId: string, token: string}|null}
+ */
+function getCredentials() {
+  const credentials = localStorage.getItem(STORAGE_KEYS.CREDENTIALS);
+  return credentials ? JSON.parse(credentials) : null;
+}
+
+/**
+ * Save this device's API credentials
+ * @param {{deviceId: string, token: string}} credentials
+ */
+function saveCredentials(credentials) {
+  localStorage.setItem(STORAGE_KEYS.CREDENTIALS, JSON.stringify(credentials));
+  mirrorIdentity();
+}
+
+/**
+ * Copy the user ID and credentials to IndexedDB, where the service worker
+ * can read them to talk to the backend while no page is open
+ * @returns {Promise<void>}
+ */
+async function mirrorIdentity() {
+  try {
+    await window.KeyVal.set('identity', {
+      userId: localStorage.getItem(STORAGE_KEYS.USER_ID),
+      credentials: getCredentials()
+    });
+  } catch (error) {
+    console.error('Failed to mirror identity for the service worker:', error);
+  }
+}
+
+/**
+ * Take over credentials the service worker rotated while re-subscribing
+ * with no page open (it marks its copy with fromServiceWorker)
+ * @returns {Promise<boolean>} Whether the credentials changed
+ */
+async function restoreMirroredCredentials() {
+  try {
+    const identity = await window.KeyVal.get('identity');
+    if (!identity || !identity.fromServiceWorker || !identity.credentials) return false;
+    if (identity.userId !== localStorage.getItem(STORAGE_KEYS.USER_ID)) return false;
+
+    saveCredentials(identity.credentials);
+    return true;
+  } catch (error) {
+    console.error('Failed to read the service worker\'s identity:', error);
+    return false;
+  }
+}
+
 /**
  * Get all entries
- * @returns {Array<{id: string, text: string, timestamp: string, date: string}>}
+ * @returns {Array<{id: string, text: string, timestamp: string, date: string, updatedAt: string}>}
  */
 function getAllEntries() {
   const entries = localStorage.getItem(STORAGE_KEYS.ENTRIES);
@@ -74,12 +146,14 @@ function addEntry(text) {
     id: generateUUID(),
     text: text.trim(),
     timestamp: now.toISOString(),
+    updatedAt: now.toISOString(),
     date: getLocalDate(),
     time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
   };
 
   entries.unshift(entry); // Add to beginning
   localStorage.setItem(STORAGE_KEYS.ENTRIES, JSON.stringify(entries));
+  markPendingSync(entry.id);
 
   return entry;
 }
@@ -98,6 +172,136 @@ function deleteEntry(id) {
   entries.splice(index, 1);
   localStorage.setItem(STORAGE_KEYS.ENTRIES, JSON.stringify(entries));
 
+  // Keep a tombstone so the deletion can be synced to other devices
+  const tombstones = getTombstones().filter(t => t.id !== id);
+  tombstones.push({ id, deletedAt: new Date().toISOString() });
+  localStorage.setItem(STORAGE_KEYS.TOMBSTONES, JSON.stringify(tombstones));
+  markPendingSync(id);
+
+  return true;
+}
+
+/**
+ * Get deletion tombstones
+ * @returns {Array<{id: string, deletedAt: string}>}
+ */
+function getTombstones() {
+  const tombstones = localStorage.getItem(STORAGE_KEYS.TOMBSTONES);
+  return tombstones ? JSON.parse(tombstones) : [];
+}
+
+/**
+ * Get sync state (null while sync is off on this device)
+ * @returns {{lastSeq: number, pending: string[], rejected?: string[], lastSyncedAt: string|null}|null}
+ */
+function getSyncState() {
+  const state = localStorage.getItem(STORAGE_KEYS.SYNC_STATE);
+  return state ? JSON.parse(state) : null;
+}
+
+/**
+ * Save sync state, or clear it (and the sync key) by passing null
+ * @param {Object|null} state
+ */
+function saveSyncState(state) {
+  if (state) {
+    localStorage.setItem(STORAGE_KEYS.SYNC_STATE, JSON.stringify(state));
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.SYNC_STATE);
+    window.KeyVal.delete(SYNC_KEY_NAME).catch(error => console.error('Failed to clear sync key:', error));
+  }
+}
+
+/**
+ * Get the key journal records are encrypted with
+ * @returns {Promise<CryptoKey|undefined>}
+ */
+function getSyncKey() {
+  return window.KeyVal.get(SYNC_KEY_NAME);
+}
+
+/**
+ * Save the key journal records are encrypted with
+ * @param {CryptoKey} key - Non-extractable AES-GCM key
+ * @returns {Promise<void>}
+ */
+function saveSyncKey(key) {
+  return window.KeyVal.set(SYNC_KEY_NAME, key);
+}
+
+/**
+ * Remember that an entry changed locally and still needs pushing
+ * @param {string} id - Entry ID
+ */
+function markPendingSync(id) {
+  const state = getSyncState();
+  if (!state) return;
+
+  if (!state.pending.includes(id)) {
+    state.pending.push(id);
+    saveSyncState(state);
+  }
+}
+
+/**
+ * IDs of every entry and tombstone held locally
+ * @returns {string[]}
+ */
+function getAllRecordIds() {
+  return [
+    ...getAllEntries().map(entry => entry.id),
+    ...getTombstones().map(tombstone => tombstone.id)
+  ];
+}
+
+/**
+ * Build the plaintext sync record for an entry or tombstone
+ * @param {string} id - Entry ID
+ * @returns {{id: string, updatedAt: string, deleted: boolean, entry?: Object}|null}
+ */
+function getSyncRecord(id) {
+  const entry = getAllEntries().find(e => e.id === id);
+  if (entry) {
+    return { id, updatedAt: entry.updatedAt || entry.timestamp, deleted: false, entry };
+  }
+
+  const tombstone = getTombstones().find(t => t.id === id);
+  if (tombstone) {
+    return { id, updatedAt: tombstone.deletedAt, deleted: true };
+  }
+
+  return null;
+}
+
+/**
+ * Merge a record pulled from another device, last writer wins
+ * @param {{id: string, updatedAt: string, deleted: boolean, entry?: Object}} record
+ * @returns {boolean} Whether the local journal changed
+ */
+function applySyncRecord(record) {
+  const local = getSyncRecord(record.id);
+  if (local && local.updatedAt >= record.updatedAt) return false;
+
+  const entries = getAllEntries().filter(e => e.id !== record.id);
+  const tombstones = getTombstones().filter(t => t.id !== record.id);
+
+  if (record.deleted) {
+    tombstones.push({ id: record.id, deletedAt: record.updatedAt });
+  } else {
+    entries.push(record.entry);
+    entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  localStorage.setItem(STORAGE_KEYS.ENTRIES, JSON.stringify(entries));
+  localStorage.setItem(STORAGE_KEYS.TOMBSTONES, JSON.stringify(tombstones));
+
+  // The remote version won, so any local change to it is obsolete
+  const state = getSyncState();
+  if (state && state.pending.includes(record.id)) {
+    state.pending = state.pending.filter(id => id !== record.id);
+    saveSyncState(state);
+  }
+
   return true;
 }
 
@@ -139,6 +343,13 @@ function getSettings() {
     remindersPerDay: 3,
     startTime: '09:00',
     endTime: '21:00',
+    minGapMinutes: 30,
+    snoozeMinutes: 30,
+    weekly: null,
+    pausedUntil: null,
+    smartTiming: false,
+    promptCategories: null,
+    customPrompts: [],
     timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
   };
 }
@@ -151,6 +362,17 @@ function saveSettings(settings) {
   localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
 }
 
+/**
+ * Remove everything this app keeps in localStorage: entries, settings,
+ * credentials and the user ID (and the service worker's copy of them),
+ * plus the sync key
+ */
+function clearAllData() {
+  Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+  window.KeyVal.delete('identity').catch(error => console.error('Failed to clear identity:', error));
+  window.KeyVal.delete(SYNC_KEY_NAME).catch(error => console.error('Failed to clear sync key:', error));
+}
+
 /**
  * Get local date in YYYY-MM-DD format
  * @returns {string}
@@ -194,14 +416,27 @@ function formatDateForDisplay(dateStr) {
 // Export functions for use in other modules
 window.Storage = {
   getUserId,
+  adoptUserId,
+  getCredentials,
+  saveCredentials,
+  mirrorIdentity,
+  restoreMirroredCredentials,
   getAllEntries,
   getEntriesForDate,
   getTodayEntries,
   addEntry,
   deleteEntry,
+  getSyncState,
+  saveSyncState,
+  getSyncKey,
+  saveSyncKey,
+  getAllRecordIds,
+  getSyncRecord,
+  applySyncRecord,
   getEntriesGroupedByDate,
   getSettings,
   saveSettings,
+  clearAllData,
   getLocalDate,
   formatDateForDisplay
 };
@@ -0,0 +1,288 @@
+/**
+ * Sync module - end-to-end encrypted backup and sync of journal entries
+ *
+ * Entries are encrypted with AES-GCM using a key derived from the user's
+ * passphrase (PBKDF2). The worker only stores ciphertext, so the passphrase
+ * is needed on every device that syncs and cannot be recovered by the server.
+ * The derived key is not extractable and is kept in IndexedDB, so what is in
+ * this browser's storage can't be used to read the backup.
+ */
+
+const PBKDF2_ITERATIONS = 310000;
+const KEY_CHECK_TEXT = 'gratitude-sync-key-check';
+
+let syncInProgress = null;
+
+/**
+ * Whether sync is turned on for this device
+ * @returns {boolean}
+ */
+function isSyncEnabled() {
+  return Boolean(window.Storage.getSyncState());
+}
+
+/**
+ * Turn on sync with a passphrase. The first device creates the backup;
+ * later devices must enter the same passphrase to join it.
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ */
+async function enableSync(passphrase) {
+  if (!window.Storage.getCredentials()) {
+    await window.Push.registerDevice();
+  }
+
+  const remote = await pullRecords(0);
+  let salt = remote.salt;
+  let keyCheck = remote.keyCheck;
+  let key;
+
+  if (salt) {
+    key = await deriveKey(passphrase, base64ToBytes(salt));
+    try {
+      const check = await decryptText(key, keyCheck);
+      if (check !== KEY_CHECK_TEXT) throw new Error('Key check mismatch');
+    } catch (error) {
+      throw new Error('Wrong passphrase for this backup');
+    }
+  } else {
+    const saltBytes = crypto.getRandomValues(new Uint8Array(16));
+    salt = bytesToBase64(saltBytes);
+    key = await deriveKey(passphrase, saltBytes);
+    keyCheck = await encryptText(key, KEY_CHECK_TEXT);
+  }
+
+  await window.Storage.saveSyncKey(key);
+  window.Storage.saveSyncState({
+    salt,
+    keyCheck,
+    lastSeq: 0,
+    pending: window.Storage.getAllRecordIds(),
+    lastSyncedAt: null
+  });
+
+  await syncNow();
+}
+
+/**
+ * Turn off sync on this device (the backup stays on the server)
+ */
+function disableSync() {
+  window.Storage.saveSyncState(null);
+}
+
+/**
+ * Pull other devices' changes, then push this device's pending changes
+ * @returns {Promise<{changed: boolean}>} Whether local entries changed
+ */
+function syncNow() {
+  if (!syncInProgress) {
+    syncInProgress = runSync().finally(() => {
+      syncInProgress = null;
+    });
+  }
+  return syncInProgress;
+}
+
+async function runSync() {
+  const state = window.Storage.getSyncState();
+  if (!state) return { changed: false };
+
+  const key = await loadSyncKey(state);
+  if (!key) {
+    // The browser dropped its IndexedDB data; sync needs the passphrase again
+    console.warn('Sync key missing, turning sync off');
+    window.Storage.saveSyncState(null);
+    return { changed: false };
+  }
+
+  // Pull and merge remote changes
+  const remote = await pullRecords(state.lastSeq);
+  let changed = false;
+
+  for (const record of remote.records) {
+    try {
+      const plaintext = JSON.parse(await decryptText(key, record));
+      if (window.Storage.applySyncRecord(plaintext)) changed = true;
+    } catch (error) {
+      console.error('Failed to decrypt sync record:', record.id, error);
+    }
+  }
+
+  const afterPull = window.Storage.getSyncState();
+  afterPull.lastSeq = remote.seq;
+  window.Storage.saveSyncState(afterPull);
+
+  // Push local changes
+  const pushedIds = afterPull.pending.slice();
+  const records = [];
+  for (const id of pushedIds) {
+    const record = window.Storage.getSyncRecord(id);
+    if (!record) continue;
+    const encrypted = await encryptText(key, JSON.stringify(record));
+    records.push({ id, ...encrypted });
+  }
+
+  let rejectedIds = [];
+  if (records.length > 0) {
+    rejectedIds = await pushRecords(records, state.salt, state.keyCheck);
+  }
+
+  // The backend won't take a rejected record as it is, so it waits for the
+  // next local change instead of being pushed again every time
+  const afterPush = window.Storage.getSyncState();
+  afterPush.pending = afterPush.pending.filter(id => !pushedIds.includes(id));
+  afterPush.rejected = [
+    ...(afterPush.rejected || []).filter(id => !pushedIds.includes(id)),
+    ...rejectedIds
+  ];
+  afterPush.lastSyncedAt = new Date().toISOString();
+  window.Storage.saveSyncState(afterPush);
+
+  return { changed };
+}
+
+/**
+ * The sync key. Earlier versions kept it as a JWK in the sync state; such a
+ * key is moved to IndexedDB as a non-extractable key and dropped from there.
+ * @param {Object} state - Sync state
+ * @returns {Promise<CryptoKey|undefined>}
+ */
+async function loadSyncKey(state) {
+  if (!state.key) return window.Storage.getSyncKey();
+
+  const key = await crypto.subtle.importKey('jwk', state.key, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  await window.Storage.saveSyncKey(key);
+
+  const current = window.Storage.getSyncState();
+  delete current.key;
+  window.Storage.saveSyncState(current);
+  return key;
+}
+
+/**
+ * Fetch encrypted records from the backend
+ * @param {number} since - Last sequence number seen
+ * @returns {Promise<{salt: string|null, keyCheck: Object|null, seq: number, records: Array}>}
+ */
+async function pullRecords(since) {
+  const userId = window.Storage.getUserId();
+
+  const response = await fetch(`${window.Push.API_URL}/api/sync/${userId}?since=${since}`, {
+    headers: window.Push.authHeaders()
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to pull backup from backend');
+  }
+
+  return response.json();
+}
+
+/**
+ * Send encrypted records to the backend, in chunks the backend accepts
+ * @param {Array<{id: string, iv: string, data: string}>} records
+ * @param {string} salt
+ * @param {{iv: string, data: string}} keyCheck
+ * @returns {Promise<string[]>} IDs of records the backend rejected (e.g. too large)
+ */
+async function pushRecords(records, salt, keyCheck) {
+  const userId = window.Storage.getUserId();
+  const chunkSize = 500;
+  const rejectedIds = [];
+
+  for (let i = 0; i < records.length; i += chunkSize) {
+    const response = await fetch(`${window.Push.API_URL}/api/sync`, {
+      method: 'POST',
+      headers: window.Push.authHeaders({
+        'Content-Type': 'application/json'
+      }),
+      body: JSON.stringify({
+        userId,
+        salt,
+        keyCheck,
+        records: records.slice(i, i + chunkSize)
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to push backup to backend');
+    }
+
+    const { rejected = [] } = await response.json();
+    for (const { id, error } of rejected) {
+      console.warn('Backend rejected sync record:', id, error);
+      rejectedIds.push(id);
+    }
+  }
+
+  return rejectedIds;
+}
+
+/**
+ * Derive the AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptText(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+async function decryptText(key, { iv, data }) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(iv) },
+    key,
+    base64ToBytes(data)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Export functions
+window.Sync = {
+  isSyncEnabled,
+  enableSync,
+  disableSync,
+  syncNow
+};
@@ -4,18 +4,28 @@
  * Handles:
  * - Static asset caching for offline support
  * - Push notification events
- * - Notification click handling
+ * - Notification click handling (including snoozing with "Later")
+ * - Reporting reminder engagement (delivered, opened, dismissed)
+ * - Re-subscribing when the browser drops the push subscription
  */
 
-const CACHE_NAME = 'gratitude-v1';
+// KeyVal holds the user ID and credentials the pages mirror for us
+importScripts('./js/keyval.js');
+
+const CACHE_NAME = 'gratitude-v24';
+// Keep in sync with API_URL in js/push.js
+const API_URL = 'https://gratitude-worker.jonas-vdheyden.workers.dev';
 // Use relative paths for GitHub Pages compatibility
 const ASSETS_TO_CACHE = [
   './',
   './index.html',
   './css/styles.css',
   './js/app.js',
+  './js/keyval.js',
   './js/storage.js',
   './js/push.js',
+  './js/sync.js',
+  './js/qrcode.js',
   './manifest.json'
 ];
 
@@ -99,10 +109,11 @@ self.addEventListener('push', (event) => {
     body: 'Take a moment to notice something you\'re grateful for today.',
     icon: './icons/icon-192.png',
     badge: './icons/badge-72.png',
-    data: { action: 'open-entry' }
+    url: './#entry',
+    tag: 'gratitude-reminder'
   };
 
-  // Try to parse push data if available
+  // Merge the worker's payload (title, body, deep-link, tag) over the defaults
   if (event.data) {
     try {
       data = { ...data, ...event.data.json() };
@@ -116,24 +127,38 @@ self.addEventListener('push', (event) => {
     icon: data.icon,
     badge: data.badge,
     vibrate: [100, 50, 100],
-    data: data.data,
+    data: {
+      action: 'open-entry',
+      url: data.url,
+      utcKey: data.utcKey || null,
+      userId: data.userId || null,
+      reminderToken: data.reminderToken || null
+    },
     actions: [
       {
         action: 'open',
         title: 'Add Gratitude'
       },
       {
-        action: 'dismiss',
+        // Scheduled reminders can be snoozed; others just close
+        action: data.reminderToken ? 'snooze' : 'dismiss',
         title: 'Later'
       }
     ],
     requireInteraction: true,
-    tag: 'gratitude-reminder'
+    tag: data.tag
   };
 
-  event.waitUntil(
-    self.registration.showNotification(data.title, options)
-  );
+  const tasks = [
+    self.registration.showNotification(data.title, options),
+    reportEvent(options.data, 'delivered')
+  ];
+  // The worker signed this push with a VAPID key it is retiring
+  if (data.resubscribe) {
+    tasks.push(queueSubscriptionChange(moveToCurrentKey));
+  }
+
+  event.waitUntil(Promise.all(tasks));
 });
 
 /**
@@ -147,7 +172,21 @@ self.addEventListener('notificationclick', (event) => {
     return;
   }
 
-  // Open the app and navigate to entry screen
+  const notificationData = event.notification.data || {};
+
+  if (event.action === 'snooze') {
+    event.waitUntil(Promise.all([
+      snoozeReminder(notificationData),
+      reportEvent(notificationData, 'dismissed', { via: 'later' })
+    ]));
+    return;
+  }
+
+  event.waitUntil(reportEvent(notificationData, 'opened'));
+
+  const targetUrl = new URL(notificationData.url || './#entry', self.registration.scope).href;
+
+  // Open the app and navigate to the payload's deep-link
   event.waitUntil(
     clients.matchAll({ type: 'window', includeUncontrolled: true })
       .then((clientList) => {
@@ -156,19 +195,281 @@ self.addEventListener('notificationclick', (event) => {
           if (client.url.includes(self.location.origin) && 'focus' in client) {
             client.focus();
             // Send message to open entry modal
-            client.postMessage({ action: 'open-entry' });
+            client.postMessage({ action: notificationData.action || 'open-entry', url: targetUrl });
             return;
           }
         }
 
-        // Otherwise, open new window with hash to trigger entry modal
+        // Otherwise, open new window at the deep-link (defaults to #entry)
         if (clients.openWindow) {
-          return clients.openWindow(self.registration.scope + '#entry');
+          return clients.openWindow(targetUrl);
         }
       })
   );
 });
 
+/**
+ * Notification close event - the reminder was swiped away
+ */
+self.addEventListener('notificationclose', (event) => {
+  event.waitUntil(reportEvent(event.notification.data || {}, 'dismissed', { via: 'close' }));
+});
+
+/**
+ * Push subscription change event - the browser expired or replaced the
+ * subscription. Subscribe again and hand the worker the new endpoint; if
+ * that fails, at least stop the worker pushing to the old one.
+ */
+self.addEventListener('pushsubscriptionchange', (event) => {
+  console.log('[SW] Push subscription changed');
+  event.waitUntil(
+    queueSubscriptionChange(() => resubscribe(event.newSubscription)).catch((error) => {
+      console.log('[SW] Re-subscribe failed:', error);
+      return removeSubscription(event.oldSubscription);
+    })
+  );
+});
+
+// Every re-subscribe rotates the device token, so only this worker does them
+// (pages ask with a message) and never two at once
+let subscriptionChange = Promise.resolve();
+
+/**
+ * Run a change to the push subscription once any under way has finished
+ * @param {Function} change - Async function making the change
+ * @returns {Promise<*>} The change's result
+ */
+function queueSubscriptionChange(change) {
+  const result = subscriptionChange.then(change);
+  subscriptionChange = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Subscribe again with the current VAPID key and replace this device's
+ * subscription on the worker. The worker rotates the device token, so the
+ * new one goes back to IndexedDB and to any open page.
+ * @param {PushSubscription|null} newSubscription - Not every browser provides it
+ * @returns {Promise<{userId: string, credentials: Object}>} The new identity
+ */
+async function resubscribe(newSubscription) {
+  const identity = await self.KeyVal.get('identity');
+  if (!identity || !identity.userId || !identity.credentials) {
+    throw new Error('No credentials to re-subscribe with');
+  }
+
+  let subscription = newSubscription;
+  if (!subscription) {
+    const vapidPublicKey = await getVapidPublicKey();
+    subscription = await self.registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(vapidPublicKey)
+    });
+    await self.KeyVal.set('vapidPublicKey', vapidPublicKey);
+  }
+
+  const response = await fetch(`${API_URL}/api/subscribe`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${identity.credentials.token}`
+    },
+    body: JSON.stringify({
+      userId: identity.userId,
+      subscription: subscription.toJSON(),
+      vapidPublicKey: getSubscriptionKey(subscription) || undefined
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Subscribe failed with status ${response.status}`);
+  }
+
+  const data = await response.json();
+  const credentials = { deviceId: data.deviceId, token: data.token };
+  // Pages opened later take the token over from here (see Storage.restoreMirroredCredentials)
+  await self.KeyVal.set('identity', { userId: identity.userId, credentials, fromServiceWorker: true });
+
+  const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  for (const client of clientList) {
+    client.postMessage({ action: 'credentials-changed', userId: identity.userId, credentials });
+  }
+
+  console.log('[SW] Re-subscribed to push');
+  return { userId: identity.userId, credentials };
+}
+
+/**
+ * Replace a subscription on an old VAPID key with one on the current key.
+ * Browsers hold one subscription at a time, so the old one goes first.
+ * @returns {Promise<Object|null>} The new identity, or null if nothing moved
+ */
+async function moveToCurrentKey() {
+  const oldSubscription = await self.registration.pushManager.getSubscription();
+  // A change queued before this one may have moved it already
+  if (oldSubscription && getSubscriptionKey(oldSubscription) === await getVapidPublicKey().catch(() => null)) {
+    return null;
+  }
+  if (oldSubscription) await oldSubscription.unsubscribe();
+
+  try {
+    return await resubscribe(null);
+  } catch (error) {
+    console.log('[SW] Failed to move to the current VAPID key:', error);
+    await removeSubscription(oldSubscription);
+    return null;
+  }
+}
+
+/**
+ * Drop this browser's subscription and subscribe again, e.g. after the push
+ * service expired it
+ * @returns {Promise<Object>} The new identity
+ */
+async function renewSubscription() {
+  const oldSubscription = await self.registration.pushManager.getSubscription();
+  if (oldSubscription) await oldSubscription.unsubscribe();
+
+  return resubscribe(null);
+}
+
+/**
+ * The worker's current VAPID key, or the one the pages last subscribed with
+ * if the worker can't be reached
+ * @returns {Promise<string>}
+ */
+async function getVapidPublicKey() {
+  try {
+    const response = await fetch(`${API_URL}/api/vapid-public-key`);
+    const data = await response.json();
+    if (data.publicKey) return data.publicKey;
+  } catch (error) {
+    console.log('[SW] Failed to fetch VAPID key:', error);
+  }
+
+  const stored = await self.KeyVal.get('vapidPublicKey');
+  if (!stored) throw new Error('No VAPID key available');
+  return stored;
+}
+
+/**
+ * The VAPID key a subscription was created with, where the browser exposes it
+ * @param {PushSubscription} subscription
+ * @returns {string|null} base64url public key
+ */
+function getSubscriptionKey(subscription) {
+  const key = subscription.options && subscription.options.applicationServerKey;
+  if (!key) return null;
+
+  const bytes = new Uint8Array(key);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return self.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Convert a base64url string to Uint8Array (for the VAPID key)
+ * @param {string} base64String
+ * @returns {Uint8Array}
+ */
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - base64String.length % 4) % 4);
+  const base64 = (base64String + padding)
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+
+  const rawData = self.atob(base64);
+  const outputArray = new Uint8Array(rawData.length);
+
+  for (let i = 0; i < rawData.length; ++i) {
+    outputArray[i] = rawData.charCodeAt(i);
+  }
+  return outputArray;
+}
+
+/**
+ * Remove this device's subscription from the worker, using the credentials
+ * the pages mirrored to IndexedDB
+ * @param {PushSubscription|null} oldSubscription - Not every browser provides it
+ */
+async function removeSubscription(oldSubscription) {
+  try {
+    const identity = await self.KeyVal.get('identity');
+    if (!identity || !identity.userId || !identity.credentials) return;
+
+    await fetch(`${API_URL}/api/unsubscribe`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${identity.credentials.token}`
+      },
+      body: JSON.stringify({
+        userId: identity.userId,
+        endpoint: oldSubscription ? oldSubscription.endpoint : undefined
+      })
+    });
+  } catch (error) {
+    console.log('[SW] Failed to remove subscription:', error);
+  }
+}
+
+/**
+ * Report what happened to a scheduled reminder. Test pushes carry no
+ * reminder token and are not reported.
+ * @param {{userId: string, utcKey: string, reminderToken: string}} data
+ * @param {string} type - delivered, opened or dismissed
+ * @param {Object} [extra] - Extra event fields
+ */
+async function reportEvent({ userId, utcKey, reminderToken }, type, extra = {}) {
+  if (!userId || !utcKey || !reminderToken) return;
+
+  try {
+    await fetch(`${API_URL}/api/events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        userId,
+        token: reminderToken,
+        events: [{ type, utcKey, at: new Date().toISOString(), ...extra }]
+      })
+    });
+  } catch (error) {
+    console.log('[SW] Failed to report event:', error);
+  }
+}
+
+/**
+ * Ask the worker to repeat this reminder later. If it can't (window over,
+ * daily cap reached), say so instead of failing silently.
+ * @param {{userId: string, utcKey: string, reminderToken: string}} data
+ */
+async function snoozeReminder({ userId, utcKey, reminderToken }) {
+  try {
+    const response = await fetch(`${API_URL}/api/snooze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userId, utcKey, token: reminderToken })
+    });
+
+    if (response.ok) {
+      console.log('[SW] Reminder snoozed');
+      return;
+    }
+
+    const result = await response.json().catch(() => ({}));
+    await self.registration.showNotification('Couldn\'t snooze', {
+      body: result.error || 'Please try again later.',
+      icon: './icons/icon-192.png',
+      badge: './icons/badge-72.png',
+      tag: 'gratitude-snooze'
+    });
+  } catch (error) {
+    console.log('[SW] Snooze failed:', error);
+  }
+}
+
 /**
  * Message event - handle messages from main thread
  */
@@ -178,4 +479,27 @@ self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+
+  // Pages ask for re-subscribes rather than making them (see queueSubscriptionChange)
+  if (event.data && event.data.type === 'MOVE_TO_CURRENT_KEY') {
+    event.waitUntil(replyToSubscriptionChange(event.ports[0], moveToCurrentKey));
+  }
+  if (event.data && event.data.type === 'RESUBSCRIBE') {
+    event.waitUntil(replyToSubscriptionChange(event.ports[0], renewSubscription));
+  }
 });
+
+/**
+ * Make a subscription change a page asked for and send it the outcome
+ * @param {MessagePort} port - Where the page waits for the reply
+ * @param {Function} change - moveToCurrentKey or renewSubscription
+ */
+async function replyToSubscriptionChange(port, change) {
+  try {
+    const identity = await queueSubscriptionChange(change);
+    port.postMessage({ identity });
+  } catch (error) {
+    console.log('[SW] Subscription change failed:', error);
+    port.postMessage({ error: error.message });
+  }
+}
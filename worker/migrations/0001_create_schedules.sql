@@ -0,0 +1,17 @@
+-- Per-user reminder schedules, previously KV schedule:{userId}
+CREATE TABLE IF NOT EXISTS schedules (
+  user_id TEXT PRIMARY KEY,
+  date TEXT NOT NULL,
+  data TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- One row per user per UTC minute with a reminder or snooze,
+-- previously the shared KV lists bucket:{date}:{time}
+CREATE TABLE IF NOT EXISTS schedule_buckets (
+  utc_key TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  PRIMARY KEY (utc_key, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS schedule_buckets_user_id ON schedule_buckets (user_id);
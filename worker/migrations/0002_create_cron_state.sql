@@ -0,0 +1,5 @@
+-- Small values the cron keeps between runs, e.g. the last processed minute
+CREATE TABLE IF NOT EXISTS cron_state (
+  name TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
@@ -0,0 +1,28 @@
+-- One row per push attempt per device; outcome is delivered, retrying,
+-- failed or expired. Pruned after 30 days.
+CREATE TABLE IF NOT EXISTS delivery_attempts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  device_id TEXT NOT NULL,
+  utc_key TEXT NOT NULL,
+  attempt INTEGER NOT NULL,
+  outcome TEXT NOT NULL,
+  status_code INTEGER,
+  error TEXT,
+  attempted_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS delivery_attempts_user_id ON delivery_attempts (user_id, utc_key);
+CREATE INDEX IF NOT EXISTS delivery_attempts_attempted_at ON delivery_attempts (attempted_at);
+
+-- Pushes waiting for another attempt after a transient failure
+CREATE TABLE IF NOT EXISTS push_retries (
+  user_id TEXT NOT NULL,
+  device_id TEXT NOT NULL,
+  utc_key TEXT NOT NULL,
+  attempt INTEGER NOT NULL,
+  next_attempt_at TEXT NOT NULL,
+  PRIMARY KEY (user_id, device_id, utc_key)
+);
+
+CREATE INDEX IF NOT EXISTS push_retries_next_attempt_at ON push_retries (next_attempt_at);
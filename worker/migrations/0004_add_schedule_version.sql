@@ -0,0 +1,3 @@
+-- Bumped on every write, so a read-modify-write can tell whether another
+-- write happened in between (see updateSchedule)
+ALTER TABLE schedules ADD COLUMN version INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,21 @@
+-- End-to-end encrypted journal backups, previously the KV document
+-- user:{id}:backup. The key-derivation salt and passphrase check value are
+-- fixed by a user's first push.
+CREATE TABLE IF NOT EXISTS sync_backups (
+  user_id TEXT PRIMARY KEY,
+  salt TEXT NOT NULL,
+  key_check TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+-- One row per journal record (an entry or a deletion tombstone). seq counts
+-- per user and is assigned again whenever a record is stored
+CREATE TABLE IF NOT EXISTS sync_records (
+  user_id TEXT NOT NULL,
+  record_id TEXT NOT NULL,
+  iv TEXT NOT NULL,
+  data TEXT NOT NULL,
+  seq INTEGER NOT NULL,
+  PRIMARY KEY (user_id, record_id),
+  UNIQUE (user_id, seq)
+);
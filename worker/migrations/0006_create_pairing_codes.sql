@@ -0,0 +1,10 @@
+-- Single-use codes for linking a device, previously KV pairing:{code}.
+-- Redeeming deletes the row; expired rows are pruned hourly.
+CREATE TABLE IF NOT EXISTS pairing_codes (
+  code TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  expires_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS pairing_codes_user_id ON pairing_codes (user_id);
+CREATE INDEX IF NOT EXISTS pairing_codes_expires_at ON pairing_codes (expires_at);
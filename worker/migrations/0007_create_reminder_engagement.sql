@@ -0,0 +1,18 @@
+-- What happened to each reminder, previously KV user:{id}:engagement.
+-- One row per (user, UTC minute); each event fills in its own column, so
+-- events for the same reminder never overwrite each other. An entry written
+-- without a reminder before it gets its own row with unprompted = 1.
+-- Rows older than 30 days are pruned hourly.
+CREATE TABLE IF NOT EXISTS reminder_engagement (
+  user_id TEXT NOT NULL,
+  utc_key TEXT NOT NULL,
+  delivered TEXT,
+  opened TEXT,
+  dismissed TEXT,
+  dismissed_via TEXT,
+  entry TEXT,
+  unprompted INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, utc_key)
+);
+
+CREATE INDEX IF NOT EXISTS reminder_engagement_utc_key ON reminder_engagement (utc_key);
@@ -0,0 +1,153 @@
+/**
+ * Auth module - per-device API credentials
+ *
+ * Each device gets a secret bearer token when it subscribes. Only a SHA-256
+ * hash of the secret is stored, under user:{id}:credentials, keyed by device ID.
+ * Tokens have the form `{deviceId}.{secret}`.
+ */
+
+/**
+ * Issue (or rotate) the token for one of a user's devices
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID the token belongs to
+ * @param {Object} env - Worker environment
+ * @returns {Promise<string>} The new bearer token (only ever returned once)
+ */
+export async function issueDeviceToken(userId, deviceId, env) {
+  const secret = randomToken(32);
+  const credentials = await getCredentials(userId, env);
+
+  credentials[deviceId] = {
+    tokenHash: await hashSecret(secret),
+    issuedAt: new Date().toISOString()
+  };
+
+  await env.GRATITUDE_KV.put(`user:${userId}:credentials`, JSON.stringify(credentials));
+  return `${deviceId}.${secret}`;
+}
+
+/**
+ * Remove a device's credentials so its token stops working
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID to revoke
+ * @param {Object} env - Worker environment
+ */
+export async function revokeDeviceToken(userId, deviceId, env) {
+  const credentials = await getCredentials(userId, env);
+  if (!credentials[deviceId]) return;
+
+  delete credentials[deviceId];
+  await env.GRATITUDE_KV.put(`user:${userId}:credentials`, JSON.stringify(credentials));
+}
+
+/**
+ * Check the request's bearer token against the user's stored credentials
+ * @param {Request} request - Incoming request
+ * @param {string} userId - User ID the request acts on
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{deviceId: string}|null>} Authenticated device, or null
+ */
+export async function authenticateRequest(request, userId, env) {
+  if (!userId) return null;
+
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+([\w-]+)\.([\w-]+)$/);
+  if (!match) return null;
+
+  const [, deviceId, secret] = match;
+  const credentials = await getCredentials(userId, env);
+  const device = credentials[deviceId];
+  if (!device) return null;
+
+  const tokenHash = await hashSecret(secret);
+  return timingSafeEqual(tokenHash, device.tokenHash) ? { deviceId } : null;
+}
+
+/**
+ * Check the request's bearer token against the ADMIN_SECRET secret. Admin
+ * routes stay closed while the secret is not set.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<boolean>}
+ */
+export async function authenticateAdmin(request, env) {
+  if (!env.ADMIN_SECRET) return false;
+
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/);
+  if (!match) return false;
+
+  // Hashing first keeps the comparison time independent of the secret's length
+  return timingSafeEqual(await hashSecret(match[1]), await hashSecret(env.ADMIN_SECRET));
+}
+
+/**
+ * Whether any device has been issued credentials for this user yet.
+ * User IDs created before credentials existed have none and may be claimed.
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ * @returns {Promise<boolean>}
+ */
+export async function hasCredentials(userId, env) {
+  const credentials = await getCredentials(userId, env);
+  return Object.keys(credentials).length > 0;
+}
+
+/**
+ * Generate a random device ID
+ * @returns {string}
+ */
+export function generateDeviceId() {
+  return randomToken(12);
+}
+
+/**
+ * Generate the token for one day's reminders. It travels inside the
+ * encrypted push payload, so the service worker can snooze a reminder or
+ * report engagement without holding a device token.
+ * @returns {string}
+ */
+export function generateReminderToken() {
+  return randomToken(16);
+}
+
+async function getCredentials(userId, env) {
+  const credentialsJson = await env.GRATITUDE_KV.get(`user:${userId}:credentials`);
+  if (!credentialsJson) return {};
+
+  try {
+    return JSON.parse(credentialsJson) || {};
+  } catch (error) {
+    console.warn('Invalid credentials payload for user:', userId, error);
+    return {};
+  }
+}
+
+async function hashSecret(secret) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function randomToken(byteLength) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+}
@@ -0,0 +1,268 @@
+/**
+ * Delivery module - what happened to each push, and retries for the ones
+ * that failed for a reason likely to pass
+ *
+ * Every attempt per device is a row in delivery_attempts (D1). Transient
+ * failures (429, 5xx, network errors) go into push_retries with exponential
+ * backoff, never sooner than the push service's Retry-After. A cron run
+ * claims due retries before sending them, so overlapping runs don't both
+ * send the same one.
+ */
+
+export const MAX_DELIVERY_ATTEMPTS = 5;
+export const DELIVERY_LOG_DAYS = 30;
+export const DELIVERY_LOG_LIMIT = 50;
+
+// Outgoing connections per worker invocation are limited to six at a time
+export const FANOUT_CONCURRENCY = 6;
+
+const RETRY_BASE_SECONDS = 60;
+const MAX_RETRY_DELAY_SECONDS = 30 * 60;
+const RETRY_BATCH_SIZE = 50;
+// A claimed retry that is neither rescheduled nor cleared (the run died)
+// comes back after this long
+const RETRY_CLAIM_SECONDS = 5 * 60;
+
+/**
+ * Whether a failed push is worth retrying
+ * @param {Error} error - Error thrown by sendPush
+ * @returns {boolean}
+ */
+export function isTransientFailure(error) {
+  if (error.permanent) return false;
+  // No status code means the request itself failed
+  if (!error.statusCode) return true;
+  return error.statusCode === 429 || error.statusCode >= 500;
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @param {Date} now - Current time
+ * @returns {number|null} Seconds to wait, or null without a usable header
+ */
+export function parseRetryAfter(value, now) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10);
+
+  const at = Date.parse(value);
+  if (Number.isNaN(at)) return null;
+  return Math.max(0, Math.ceil((at - now.getTime()) / 1000));
+}
+
+/**
+ * Seconds to wait before the next attempt
+ * @param {number} attempt - The attempt that just failed (1 for the first send)
+ * @param {number|null} retryAfterSeconds - From the push service, if any
+ * @returns {number}
+ */
+export function retryDelaySeconds(attempt, retryAfterSeconds = null) {
+  const backoff = Math.min(RETRY_BASE_SECONDS * 2 ** (attempt - 1), MAX_RETRY_DELAY_SECONDS);
+  return Math.max(backoff, retryAfterSeconds || 0);
+}
+
+/**
+ * Record one attempt per device and queue, reschedule or clear retries
+ * @param {string} userId - User ID
+ * @param {string} utcKey - Reminder the push was for
+ * @param {number} attempt - Attempt number (1 for the first send)
+ * @param {Array<{deviceId: string, error: Error|null, expired: boolean}>} results - From sendToDevices
+ * @param {Object} env - Worker environment
+ * @returns {Promise<number>} How many devices were queued for a retry
+ */
+export async function recordAttempts(userId, utcKey, attempt, results, env) {
+  const now = new Date();
+  const statements = [];
+  let queued = 0;
+
+  for (const { deviceId, error, expired } of results) {
+    let outcome = 'delivered';
+    if (error) {
+      outcome = expired ? 'expired' : 'failed';
+      if (!expired && isTransientFailure(error) && attempt < MAX_DELIVERY_ATTEMPTS) outcome = 'retrying';
+    }
+
+    statements.push(env.DB.prepare(
+      'INSERT INTO delivery_attempts (user_id, device_id, utc_key, attempt, outcome, status_code, error, attempted_at) ' +
+      'VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+    ).bind(
+      userId,
+      deviceId,
+      utcKey,
+      attempt,
+      outcome,
+      (error && error.statusCode) || null,
+      error ? error.message.slice(0, 200) : null,
+      now.toISOString()
+    ));
+
+    if (outcome === 'retrying') {
+      const delay = retryDelaySeconds(attempt, error.retryAfter);
+      statements.push(env.DB.prepare(
+        'INSERT INTO push_retries (user_id, device_id, utc_key, attempt, next_attempt_at) VALUES (?, ?, ?, ?, ?) ' +
+        'ON CONFLICT (user_id, device_id, utc_key) DO UPDATE SET attempt = excluded.attempt, next_attempt_at = excluded.next_attempt_at'
+      ).bind(userId, deviceId, utcKey, attempt + 1, new Date(now.getTime() + delay * 1000).toISOString()));
+      queued++;
+    } else if (attempt > 1) {
+      statements.push(deleteRetryStatement({ userId, deviceId, utcKey }, env));
+    }
+  }
+
+  if (statements.length > 0) await env.DB.batch(statements);
+  return queued;
+}
+
+/**
+ * Claim retries whose time has come, oldest first. Claiming moves them
+ * RETRY_CLAIM_SECONDS ahead in one statement, so a run that overlaps this
+ * one doesn't get them too; recordAttempts or deleteRetry then settles them.
+ * @param {Date} now - Current time
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Array<{userId: string, deviceId: string, utcKey: string, attempt: number}>>}
+ */
+export async function claimDueRetries(now, env) {
+  const claimedUntil = new Date(now.getTime() + RETRY_CLAIM_SECONDS * 1000).toISOString();
+  const { results } = await env.DB.prepare(
+    'UPDATE push_retries SET next_attempt_at = ? WHERE rowid IN (' +
+    'SELECT rowid FROM push_retries WHERE next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?' +
+    ') RETURNING user_id, device_id, utc_key, attempt'
+  ).bind(claimedUntil, now.toISOString(), RETRY_BATCH_SIZE).all();
+
+  return results.map(row => ({
+    userId: row.user_id,
+    deviceId: row.device_id,
+    utcKey: row.utc_key,
+    attempt: row.attempt
+  }));
+}
+
+/**
+ * Drop a queued retry, e.g. when its reminder or device is gone
+ * @param {{userId: string, deviceId: string, utcKey: string}} retry
+ * @param {Object} env - Worker environment
+ */
+export async function deleteRetry(retry, env) {
+  await deleteRetryStatement(retry, env).run();
+}
+
+/**
+ * Drop every queued retry for one device, e.g. once it has unsubscribed
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @param {Object} env - Worker environment
+ */
+export async function deleteDeviceRetries(userId, deviceId, env) {
+  await env.DB.prepare('DELETE FROM push_retries WHERE user_id = ? AND device_id = ?')
+    .bind(userId, deviceId)
+    .run();
+}
+
+/**
+ * A user's latest delivery attempts, newest first
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getDeliveryLog(userId, env) {
+  const { results } = await env.DB.prepare(
+    'SELECT device_id, utc_key, attempt, outcome, status_code, error, attempted_at FROM delivery_attempts ' +
+    'WHERE user_id = ? ORDER BY attempted_at DESC, id DESC LIMIT ?'
+  ).bind(userId, DELIVERY_LOG_LIMIT).all();
+
+  return results.map(attemptFromRow);
+}
+
+/**
+ * Every delivery attempt kept for a user (at most DELIVERY_LOG_DAYS), oldest first
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getDeliveryHistory(userId, env) {
+  const { results } = await env.DB.prepare(
+    'SELECT device_id, utc_key, attempt, outcome, status_code, error, attempted_at FROM delivery_attempts ' +
+    'WHERE user_id = ? ORDER BY attempted_at, id'
+  ).bind(userId).all();
+
+  return results.map(attemptFromRow);
+}
+
+/**
+ * Attempts per UTC day and outcome, newest day first
+ * @param {number} days - How many days back to include, today counting as one
+ * @param {Date} now - Current time
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Array<{date: string, delivered: number, retrying: number, failed: number, expired: number}>>}
+ */
+export async function summarizeDeliveries(days, now, env) {
+  const since = new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const { results } = await env.DB.prepare(
+    'SELECT substr(attempted_at, 1, 10) AS date, outcome, COUNT(*) AS count FROM delivery_attempts ' +
+    'WHERE attempted_at >= ? GROUP BY date, outcome ORDER BY date DESC'
+  ).bind(since).all();
+
+  const byDate = new Map();
+  for (const row of results) {
+    if (!byDate.has(row.date)) {
+      byDate.set(row.date, { date: row.date, delivered: 0, retrying: 0, failed: 0, expired: 0 });
+    }
+    byDate.get(row.date)[row.outcome] = row.count;
+  }
+  return [...byDate.values()];
+}
+
+/**
+ * Delete a user's delivery attempts and queued retries
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ */
+export async function deleteDeliveryHistory(userId, env) {
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM delivery_attempts WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM push_retries WHERE user_id = ?').bind(userId)
+  ]);
+}
+
+/**
+ * Delete attempts older than DELIVERY_LOG_DAYS
+ * @param {Date} now - Current time
+ * @param {Object} env - Worker environment
+ */
+export async function pruneDeliveryLog(now, env) {
+  const cutoff = new Date(now.getTime() - DELIVERY_LOG_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  await env.DB.prepare('DELETE FROM delivery_attempts WHERE attempted_at < ?').bind(cutoff).run();
+}
+
+/**
+ * Run a task for every item, at most `concurrency` at a time. A failing task
+ * is logged and does not stop the others.
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} task - async (item) => void
+ */
+export async function runInBatches(items, concurrency, task) {
+  for (let i = 0; i < items.length; i += concurrency) {
+    const results = await Promise.allSettled(items.slice(i, i + concurrency).map(task));
+    for (const result of results) {
+      if (result.status === 'rejected') console.error('Delivery task failed:', result.reason);
+    }
+  }
+}
+
+function attemptFromRow(row) {
+  return {
+    deviceId: row.device_id,
+    utcKey: row.utc_key,
+    attempt: row.attempt,
+    outcome: row.outcome,
+    statusCode: row.status_code,
+    error: row.error,
+    attemptedAt: row.attempted_at
+  };
+}
+
+function deleteRetryStatement({ userId, deviceId, utcKey }, env) {
+  return env.DB.prepare('DELETE FROM push_retries WHERE user_id = ? AND device_id = ? AND utc_key = ?')
+    .bind(userId, deviceId, utcKey);
+}
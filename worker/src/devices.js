@@ -0,0 +1,208 @@
+/**
+ * Devices module - a user's push subscriptions, one per device
+ *
+ * KV layout: user:{id}:subscriptions → [{ deviceId, label, subscription,
+ * vapidPublicKey, createdAt, lastSeen, status, expiredReason, expiredAt }]
+ *
+ * vapidPublicKey is the key the subscription was created with (see vapid.js).
+ *
+ * A device whose subscription the push service expired keeps its entry with
+ * `subscription: null` and `status: 'expired'`, so it can be told why its
+ * reminders stopped.
+ */
+
+const LEGACY_DEVICE_ID = 'legacy';
+const LAST_SEEN_RESOLUTION_MS = 60 * 60 * 1000;
+const P256DH_LENGTH = 65;
+const AUTH_SECRET_LENGTH = 16;
+
+/**
+ * Load a user's devices, migrating the single-subscription key if needed
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getDevices(userId, env) {
+  const devicesJson = await env.GRATITUDE_KV.get(`user:${userId}:subscriptions`);
+  if (devicesJson) {
+    try {
+      const devices = JSON.parse(devicesJson);
+      if (Array.isArray(devices)) return devices;
+    } catch (error) {
+      console.warn('Invalid devices payload for user:', userId, error);
+    }
+    return [];
+  }
+
+  // Legacy format: user:{id}:subscription holding one subscription
+  const legacyJson = await env.GRATITUDE_KV.get(`user:${userId}:subscription`);
+  if (!legacyJson) return [];
+
+  try {
+    return [{
+      deviceId: LEGACY_DEVICE_ID,
+      label: 'Unknown device',
+      subscription: JSON.parse(legacyJson),
+      createdAt: null,
+      lastSeen: null,
+      status: 'active'
+    }];
+  } catch (error) {
+    console.warn('Invalid subscription payload for user:', userId, error);
+    return [];
+  }
+}
+
+/**
+ * Persist a user's devices (and drop the legacy single-subscription key)
+ * @param {string} userId - User ID
+ * @param {Array<Object>} devices - Devices to store
+ * @param {Object} env - Worker environment
+ */
+export async function saveDevices(userId, devices, env) {
+  if (devices.length === 0) {
+    await env.GRATITUDE_KV.delete(`user:${userId}:subscriptions`);
+  } else {
+    await env.GRATITUDE_KV.put(`user:${userId}:subscriptions`, JSON.stringify(devices));
+  }
+  await env.GRATITUDE_KV.delete(`user:${userId}:subscription`);
+}
+
+/**
+ * Validate a push subscription from the client: an https endpoint the push
+ * service gave out, a P-256 public key (65 bytes) and a 16-byte auth secret,
+ * base64url encoded
+ * @param {Object} subscription - PushSubscription.toJSON() output
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateSubscription(subscription) {
+  if (!subscription || typeof subscription.endpoint !== 'string') {
+    return 'subscription.endpoint must be an https URL';
+  }
+
+  let endpoint;
+  try {
+    endpoint = new URL(subscription.endpoint);
+  } catch (error) {
+    return 'subscription.endpoint must be an https URL';
+  }
+  if (endpoint.protocol !== 'https:') {
+    return 'subscription.endpoint must be an https URL';
+  }
+
+  const keys = subscription.keys || {};
+  if (decodedLength(keys.p256dh) !== P256DH_LENGTH) {
+    return 'subscription.keys.p256dh must be an uncompressed P-256 public key';
+  }
+  if (decodedLength(keys.auth) !== AUTH_SECRET_LENGTH) {
+    return 'subscription.keys.auth must be a 16-byte secret';
+  }
+
+  return null;
+}
+
+/**
+ * Add or replace a device's subscription. Any other entry with the same
+ * endpoint (e.g. the migrated legacy one) is dropped.
+ * @param {Array<Object>} devices - Current devices
+ * @param {string} deviceId - Device ID
+ * @param {Object} subscription - Push subscription
+ * @param {string} [label] - Human-readable device label
+ * @param {string} [vapidPublicKey] - VAPID key the subscription was created with
+ * @returns {Array<Object>} Updated devices
+ */
+export function upsertDevice(devices, deviceId, subscription, label, vapidPublicKey) {
+  const now = new Date().toISOString();
+  const existing = devices.find(d => d.deviceId === deviceId);
+  const others = devices.filter(d =>
+    d.deviceId !== deviceId &&
+    !(d.subscription && d.subscription.endpoint === subscription.endpoint)
+  );
+
+  return [...others, {
+    deviceId,
+    label: label || (existing && existing.label) || 'Unknown device',
+    subscription,
+    vapidPublicKey: vapidPublicKey || null,
+    createdAt: (existing && existing.createdAt) || now,
+    lastSeen: now,
+    status: 'active'
+  }];
+}
+
+/**
+ * Mark a device's subscription as expired by the push service
+ * @param {Array<Object>} devices - Current devices
+ * @param {string} deviceId - Device ID
+ * @param {string} reason - Why the subscription is gone
+ * @returns {Array<Object>} Updated devices
+ */
+export function expireDevice(devices, deviceId, reason) {
+  return devices.map(d => d.deviceId !== deviceId ? d : {
+    ...d,
+    subscription: null,
+    status: 'expired',
+    expiredReason: reason,
+    expiredAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Record that a device was just used, at most once per hour to save KV writes
+ * @param {Array<Object>} devices - Current devices
+ * @param {string} deviceId - Device ID
+ * @returns {Array<Object>|null} Updated devices, or null if nothing changed
+ */
+export function touchDevice(devices, deviceId) {
+  const device = devices.find(d => d.deviceId === deviceId);
+  if (!device) return null;
+
+  const now = Date.now();
+  if (device.lastSeen && now - Date.parse(device.lastSeen) < LAST_SEEN_RESOLUTION_MS) {
+    return null;
+  }
+
+  return devices.map(d => d.deviceId === deviceId ? { ...d, lastSeen: new Date(now).toISOString() } : d);
+}
+
+/**
+ * Devices that can currently receive pushes
+ * @param {Array<Object>} devices
+ * @returns {Array<Object>}
+ */
+export function activeDevices(devices) {
+  return devices.filter(d => d.subscription && d.status !== 'expired');
+}
+
+/**
+ * Public view of a device (no subscription keys)
+ * @param {Object} device
+ * @returns {Object}
+ */
+export function describeDevice(device) {
+  let endpointHost = null;
+  if (device.subscription && device.subscription.endpoint) {
+    endpointHost = new URL(device.subscription.endpoint).host;
+  }
+
+  return {
+    deviceId: device.deviceId,
+    label: device.label,
+    createdAt: device.createdAt,
+    lastSeen: device.lastSeen,
+    status: device.status || 'active',
+    expiredReason: device.expiredReason || null,
+    expiredAt: device.expiredAt || null,
+    endpointHost
+  };
+}
+
+/**
+ * Length in bytes of a base64url string, or -1 if it isn't one
+ */
+function decodedLength(value) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]+={0,2}$/.test(value)) return -1;
+  const unpadded = value.replace(/=+$/, '');
+  if (unpadded.length % 4 === 1) return -1;
+  return Math.floor(unpadded.length * 3 / 4);
+}
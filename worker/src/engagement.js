@@ -0,0 +1,224 @@
+/**
+ * Engagement module - what happened to each reminder after it was sent
+ *
+ * Stored in D1 (reminder_engagement, see migrations/): one row per user and
+ * reminder minute with delivered, opened, dismissed (plus dismissedVia) and
+ * entry, each a timestamp (ISO) or null. Each event sets its own column in a
+ * single upsert, so the service worker reporting 'delivered' and 'opened'
+ * at once doesn't lose either. An entry written without a reminder before it
+ * is kept under its own minute as { entry, unprompted: true }; stats skip
+ * those, smart timing uses them. Rows older than the stats period are pruned
+ * hourly. Records from before D1 (KV user:{id}:engagement) move over on
+ * first use.
+ */
+
+export const EVENT_TYPES = ['delivered', 'opened', 'dismissed', 'entry'];
+export const MAX_EVENTS_PER_REQUEST = 20;
+export const ENTRY_WINDOW_MINUTES = 60;
+export const STATS_PERIOD_DAYS = 30;
+
+const UTC_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+/**
+ * Load a user's engagement records for the stats period
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object>} Records keyed by utcKey
+ */
+export async function getEngagement(userId, env) {
+  await moveKvEngagement(userId, env);
+
+  const { results } = await env.DB.prepare(
+    'SELECT utc_key, delivered, opened, dismissed, dismissed_via, entry, unprompted ' +
+    'FROM reminder_engagement WHERE user_id = ? AND utc_key >= ? ORDER BY utc_key'
+  ).bind(userId, statsCutoff(new Date())).all();
+
+  const engagement = {};
+  for (const row of results) {
+    const record = {};
+    for (const type of EVENT_TYPES) {
+      if (row[type]) record[type] = row[type];
+    }
+    if (row.dismissed_via) record.dismissedVia = row.dismissed_via;
+    if (row.unprompted) record.unprompted = true;
+    engagement[row.utc_key] = record;
+  }
+  return engagement;
+}
+
+/**
+ * Check an events payload
+ * @param {Array} events - [{ type, utcKey?, at?, via? }]
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  if (events.length > MAX_EVENTS_PER_REQUEST) {
+    return `At most ${MAX_EVENTS_PER_REQUEST} events per request`;
+  }
+
+  for (const event of events) {
+    if (!event || !EVENT_TYPES.includes(event.type)) {
+      return `Event type must be one of ${EVENT_TYPES.join(', ')}`;
+    }
+    // Entries are matched to a reminder by time; everything else names one
+    if (event.type !== 'entry' && !UTC_KEY_PATTERN.test(event.utcKey || '')) {
+      return 'Each reminder event needs a utcKey (YYYY-MM-DDTHH:MM)';
+    }
+    if (event.at !== undefined && Number.isNaN(Date.parse(event.at))) {
+      return 'Event timestamps must be ISO dates';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Record events. A reminder event only fills in its type the first time it
+ * is reported. An entry counts for the latest reminder sent at most
+ * ENTRY_WINDOW_MINUTES before it.
+ * @param {string} userId - User ID
+ * @param {Array} events - Validated events
+ * @param {Date} now - Current time
+ * @param {Object} env - Worker environment
+ */
+export async function recordEvents(userId, events, now, env) {
+  await moveKvEngagement(userId, env);
+
+  const statements = [];
+  for (const event of events) {
+    // Clients may be offline for a while, but never ahead of the server
+    const at = event.at && Date.parse(event.at) < now.getTime() ? new Date(event.at).toISOString() : now.toISOString();
+
+    if (event.type === 'entry') {
+      statements.push(...entryStatements(userId, at, env));
+    } else if (event.type === 'dismissed') {
+      statements.push(env.DB.prepare(
+        'INSERT INTO reminder_engagement (user_id, utc_key, dismissed, dismissed_via) VALUES (?, ?, ?, ?) ' +
+        'ON CONFLICT (user_id, utc_key) DO UPDATE SET ' +
+        'dismissed_via = CASE WHEN dismissed IS NULL THEN excluded.dismissed_via ELSE dismissed_via END, ' +
+        'dismissed = COALESCE(dismissed, excluded.dismissed)'
+      ).bind(userId, event.utcKey, at, event.via === 'later' ? 'later' : 'close'));
+    } else {
+      // event.type is one of EVENT_TYPES, so it is safe to use as a column name
+      statements.push(env.DB.prepare(
+        `INSERT INTO reminder_engagement (user_id, utc_key, ${event.type}) VALUES (?, ?, ?) ` +
+        `ON CONFLICT (user_id, utc_key) DO UPDATE SET ${event.type} = COALESCE(${event.type}, excluded.${event.type})`
+      ).bind(userId, event.utcKey, at));
+    }
+  }
+
+  // One batch runs as a transaction, so an entry sees a reminder delivered earlier in it
+  await env.DB.batch(statements);
+}
+
+/**
+ * Delete a user's engagement records
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ */
+export async function deleteEngagement(userId, env) {
+  await env.DB.prepare('DELETE FROM reminder_engagement WHERE user_id = ?').bind(userId).run();
+}
+
+/**
+ * Drop engagement records older than the stats period
+ * @param {Date} now - Current time
+ * @param {Object} env - Worker environment
+ */
+export async function pruneEngagementLog(now, env) {
+  await env.DB.prepare('DELETE FROM reminder_engagement WHERE utc_key < ?').bind(statsCutoff(now)).run();
+}
+
+/**
+ * Summarize the stats period
+ * @param {Object} engagement - Records keyed by utcKey
+ * @param {Date} now - Current time
+ * @returns {Object}
+ */
+export function summarizeEngagement(engagement, now) {
+  const records = Object.values(pruneEngagement(engagement, now));
+  const delivered = records.filter(r => r.delivered).length;
+  const ledToEntry = records.filter(r => r.delivered && r.entry).length;
+
+  return {
+    periodDays: STATS_PERIOD_DAYS,
+    delivered,
+    opened: records.filter(r => r.delivered && r.opened).length,
+    dismissed: records.filter(r => r.delivered && r.dismissed).length,
+    snoozed: records.filter(r => r.delivered && r.dismissedVia === 'later').length,
+    ignored: records.filter(r => r.delivered && !r.opened && !r.dismissed && !r.entry).length,
+    ledToEntry,
+    entryRate: delivered > 0 ? ledToEntry / delivered : null
+  };
+}
+
+/**
+ * Statements crediting an entry to the latest reminder sent at most
+ * ENTRY_WINDOW_MINUTES before it, or storing it as unprompted
+ */
+function entryStatements(userId, at, env) {
+  const atMs = Date.parse(at);
+  const from = new Date(Math.ceil((atMs - ENTRY_WINDOW_MINUTES * 60 * 1000) / 60000) * 60000).toISOString().slice(0, 16);
+  const until = at.slice(0, 16);
+  const reminders = 'SELECT utc_key FROM reminder_engagement ' +
+    'WHERE user_id = ? AND unprompted = 0 AND utc_key >= ? AND utc_key <= ?';
+
+  return [
+    env.DB.prepare(
+      'UPDATE reminder_engagement SET entry = ? ' +
+      `WHERE user_id = ? AND entry IS NULL AND utc_key = (${reminders} ORDER BY utc_key DESC LIMIT 1)`
+    ).bind(at, userId, userId, from, until),
+    env.DB.prepare(
+      'INSERT INTO reminder_engagement (user_id, utc_key, entry, unprompted) ' +
+      `SELECT ?, ?, ?, 1 WHERE NOT EXISTS (${reminders}) ` +
+      'ON CONFLICT (user_id, utc_key) DO UPDATE SET entry = excluded.entry'
+    ).bind(userId, until, at, userId, from, until)
+  ];
+}
+
+function statsCutoff(now) {
+  return new Date(now.getTime() - STATS_PERIOD_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 16);
+}
+
+/**
+ * Copy a KV engagement document into D1, then drop it from KV. Rows already
+ * in D1 win, since they can only be newer.
+ */
+async function moveKvEngagement(userId, env) {
+  const key = `user:${userId}:engagement`;
+  const engagementJson = await env.GRATITUDE_KV.get(key);
+  if (!engagementJson) return;
+
+  let engagement = {};
+  try {
+    engagement = JSON.parse(engagementJson) || {};
+  } catch (error) {
+    console.warn('Invalid engagement payload for user:', userId, error);
+  }
+
+  const records = Object.entries(pruneEngagement(engagement, new Date()));
+  if (records.length > 0) {
+    await env.DB.batch(records.map(([utcKey, record]) => env.DB.prepare(
+      'INSERT OR IGNORE INTO reminder_engagement ' +
+      '(user_id, utc_key, delivered, opened, dismissed, dismissed_via, entry, unprompted) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+    ).bind(
+      userId, utcKey, record.delivered || null, record.opened || null, record.dismissed || null,
+      record.dismissedVia || null, record.entry || null, record.unprompted ? 1 : 0
+    )));
+  }
+  await env.GRATITUDE_KV.delete(key);
+
+  console.log(`Moved KV engagement to D1 for user: ${userId}`);
+}
+
+function pruneEngagement(engagement, now) {
+  const cutoff = statsCutoff(now);
+  const pruned = {};
+  for (const [utcKey, record] of Object.entries(engagement)) {
+    if (utcKey >= cutoff) pruned[utcKey] = record;
+  }
+  return pruned;
+}
@@ -7,13 +7,112 @@
  * - Scheduled push notification sending (via cron)
  */
 
-import { generateRandomTimes, getDateInTimezone, toUtcDateTimeParts } from './scheduler.js';
+import {
+  DEFAULT_MIN_GAP_MINUTES,
+  fitMinGap,
+  generateRandomTimes,
+  getDateInTimezone,
+  getScheduleDay,
+  getTimeInTimezone,
+  localDateForTime,
+  MAX_MIN_GAP_MINUTES,
+  maxRemindersInWindow,
+  toUtcDateTimeParts,
+  WEEKDAYS
+} from './scheduler.js';
+import { sendWebPush } from './push.js';
+import {
+  authenticateAdmin,
+  authenticateRequest,
+  generateDeviceId,
+  generateReminderToken,
+  hasCredentials,
+  issueDeviceToken,
+  revokeDeviceToken
+} from './auth.js';
+import {
+  deleteBackup,
+  getBackup,
+  getRecordsSince,
+  splitRecords,
+  storeRecords,
+  validateRecords
+} from './sync.js';
+import {
+  deleteEngagement,
+  getEngagement,
+  pruneEngagementLog,
+  recordEvents,
+  summarizeEngagement,
+  validateEvents
+} from './engagement.js';
+import {
+  createPairingCode,
+  deletePairingCodes,
+  pruneExpiredPairingCodes,
+  redeemPairingCode
+} from './pairing.js';
+import { DEFAULT_PROMPT, pickPrompts, validatePromptSettings } from './prompts.js';
+import {
+  claimDueRetries,
+  deleteDeliveryHistory,
+  deleteDeviceRetries,
+  deleteRetry,
+  FANOUT_CONCURRENCY,
+  getDeliveryHistory,
+  getDeliveryLog,
+  parseRetryAfter,
+  pruneDeliveryLog,
+  recordAttempts,
+  runInBatches,
+  summarizeDeliveries
+} from './delivery.js';
+import {
+  deleteSchedule,
+  getDueBuckets,
+  getLastProcessedMinute,
+  getSchedule,
+  listSchedules,
+  migrateKvSchedules,
+  moveLastProcessedMinute,
+  saveSchedule,
+  SCHEDULE_PAGE_SIZE,
+  scheduleBucketKeys,
+  updateSchedule
+} from './schedules.js';
+import {
+  getTimingProfile,
+  learnTimingWeights,
+  MIN_TIMING_SAMPLES,
+  saveTimingProfile
+} from './timing.js';
+import {
+  DEFAULT_SNOOZE_MINUTES,
+  MAX_SNOOZE_MINUTES,
+  MIN_SNOOZE_MINUTES,
+  planSnooze
+} from './snooze.js';
+import {
+  currentVapidKey,
+  findVapidPublicKey,
+  vapidKeyForDevice
+} from './vapid.js';
+import {
+  activeDevices,
+  describeDevice,
+  expireDevice,
+  getDevices,
+  saveDevices,
+  touchDevice,
+  upsertDevice,
+  validateSubscription
+} from './devices.js';
 
 // CORS headers for frontend requests
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
 
 /**
@@ -35,17 +134,88 @@ export default {
         return await handleSubscribe(request, env);
       }
 
+      if (path === '/api/unsubscribe' && request.method === 'POST') {
+        return await handleUnsubscribe(request, env);
+      }
+
+      if (path === '/api/register' && request.method === 'POST') {
+        return await handleRegister(request, env);
+      }
+
+      if (path === '/api/pairing' && request.method === 'POST') {
+        return await handleCreatePairingCode(request, env);
+      }
+
+      if (path === '/api/pairing/redeem' && request.method === 'POST') {
+        return await handleRedeemPairingCode(request, env);
+      }
+
+      if (path === '/api/sync' && request.method === 'POST') {
+        return await handlePushSync(request, env);
+      }
+
+      if (path.startsWith('/api/sync/') && request.method === 'GET') {
+        const userId = path.split('/').pop();
+        return await handlePullSync(request, userId, url, env);
+      }
+
       if (path === '/api/settings' && request.method === 'POST') {
         return await handleSaveSettings(request, env);
       }
 
+      if (path === '/api/pause' && request.method === 'POST') {
+        return await handlePause(request, env);
+      }
+
+      if (path === '/api/snooze' && request.method === 'POST') {
+        return await handleSnooze(request, env);
+      }
+
+      if (path === '/api/events' && request.method === 'POST') {
+        return await handleEvents(request, env);
+      }
+
+      if (path.startsWith('/api/stats/') && request.method === 'GET') {
+        const userId = path.split('/').pop();
+        return await handleGetStats(request, userId, env);
+      }
+
+      if (path.startsWith('/api/deliveries/') && request.method === 'GET') {
+        const userId = path.split('/').pop();
+        return await handleGetDeliveries(request, userId, env);
+      }
+
+      if (path.startsWith('/api/export/') && request.method === 'GET') {
+        const userId = path.split('/').pop();
+        return await handleExport(request, userId, env);
+      }
+
       if (path.startsWith('/api/settings/') && request.method === 'GET') {
         const userId = path.split('/').pop();
-        return await handleGetSettings(userId, env);
+        return await handleGetSettings(request, userId, env);
+      }
+
+      if (path.startsWith('/api/subscription-status/') && request.method === 'GET') {
+        const userId = path.split('/').pop();
+        return await handleGetSubscriptionStatus(request, userId, env);
+      }
+
+      if (path === '/api/devices/revoke' && request.method === 'POST') {
+        return await handleRevokeDevice(request, env);
+      }
+
+      if (path === '/api/account/delete' && request.method === 'POST') {
+        return await handleDeleteAccount(request, env);
+      }
+
+      if (path.startsWith('/api/devices/') && request.method === 'GET') {
+        const userId = path.split('/').pop();
+        return await handleListDevices(request, userId, env);
       }
 
       if (path === '/api/vapid-public-key' && request.method === 'GET') {
-        return jsonResponse({ publicKey: env.VAPID_PUBLIC_KEY });
+        // Clients subscribed with any other key re-subscribe with this one
+        return jsonResponse({ publicKey: currentVapidKey(env).publicKey });
       }
 
       // Health check
@@ -58,6 +228,10 @@ export default {
         return await handleTestPush(request, env);
       }
 
+      if (path.startsWith('/api/admin/')) {
+        return await handleAdminRequest(request, path, url, env);
+      }
+
       return jsonResponse({ error: 'Not found' }, 404);
     } catch (error) {
       console.error('Request error:', error);
@@ -71,124 +245,904 @@ export default {
   async scheduled(event, env, ctx) {
     console.log('Cron triggered at:', new Date().toISOString(), 'cron:', event.cron);
 
-    if (event.cron === '0 * * * *') {
-      await refreshSchedules(env);
-      return;
-    }
+    // Until every KV schedule is in D1, move a batch each minute
+    await migrateKvSchedules(env, (userId) => rebuildLegacySchedule(userId, env));
+
+    if (event.cron === '0 * * * *') {
+      await refreshSchedules(env);
+      await pruneDeliveryLog(new Date(), env);
+      await pruneEngagementLog(new Date(), env);
+      await pruneExpiredPairingCodes(new Date(), env);
+      return;
+    }
+
+    await processDueBuckets(env);
+    await processRetries(env);
+  }
+};
+
+/**
+ * Handle push subscription storage and device credential issuing.
+ *
+ * The first subscribe for a userId (including IDs created before credentials
+ * existed) issues a device token. Later subscribes must present the current
+ * token and receive a rotated one.
+ */
+async function handleSubscribe(request, env) {
+  const { userId, subscription, deviceLabel, vapidPublicKey } = await request.json();
+
+  if (!userId || !subscription || !subscription.endpoint) {
+    return jsonResponse({ error: 'Missing userId or subscription' }, 400);
+  }
+
+  const subscriptionError = validateSubscription(subscription);
+  if (subscriptionError) {
+    return jsonResponse({ error: subscriptionError }, 400);
+  }
+
+  // Clients that don't say which key they used fetched the current one
+  const subscribedKey = vapidPublicKey ? findVapidPublicKey(vapidPublicKey, env) : currentVapidKey(env).publicKey;
+  if (!subscribedKey) {
+    return jsonResponse({ error: 'Unknown VAPID key, subscribe again with /api/vapid-public-key' }, 400);
+  }
+
+  const deviceId = await resolveDeviceId(request, userId, env);
+  if (!deviceId) return unauthorizedResponse();
+
+  // Store this device's subscription alongside the user's other devices
+  const devices = await getDevices(userId, env);
+  const label = typeof deviceLabel === 'string' ? deviceLabel.slice(0, 60) : null;
+  await saveDevices(userId, upsertDevice(devices, deviceId, subscription, label, subscribedKey), env);
+
+  // A pruned subscription also dropped the schedule; restore it for enabled users
+  const existingSchedule = await getSchedule(userId, env);
+  if (!existingSchedule) {
+    const settings = await getSettingsForUser(userId, env);
+    if (settings && settings.enabled) {
+      await buildScheduleForUser(userId, settings, env);
+    }
+  }
+
+  const token = await issueDeviceToken(userId, deviceId, env);
+
+  console.log(`Stored subscription for user: ${userId}`);
+  return jsonResponse({ success: true, deviceId, token });
+}
+
+/**
+ * Handle device registration without a push subscription, so devices that
+ * never enable reminders can still get credentials (e.g. for journal sync)
+ */
+async function handleRegister(request, env) {
+  const { userId } = await request.json();
+
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  const deviceId = await resolveDeviceId(request, userId, env);
+  if (!deviceId) return unauthorizedResponse();
+
+  const token = await issueDeviceToken(userId, deviceId, env);
+  return jsonResponse({ success: true, deviceId, token });
+}
+
+/**
+ * Device ID a subscribe/register call acts for: a fresh one for user IDs
+ * without credentials, otherwise the device whose token the request carries
+ */
+async function resolveDeviceId(request, userId, env) {
+  if (!await hasCredentials(userId, env)) {
+    return generateDeviceId();
+  }
+
+  const auth = await authenticateRequest(request, userId, env);
+  return auth ? auth.deviceId : null;
+}
+
+/**
+ * Handle creating a pairing code that links another device to this user
+ */
+async function handleCreatePairingCode(request, env) {
+  const { userId } = await request.json();
+
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  if (!await authenticateRequest(request, userId, env)) {
+    return unauthorizedResponse();
+  }
+
+  const { code, expiresAt } = await createPairingCode(userId, env);
+  return jsonResponse({ code, expiresAt });
+}
+
+/**
+ * Handle redeeming a pairing code: the new device adopts the code's user ID
+ * and receives its own credentials
+ */
+async function handleRedeemPairingCode(request, env) {
+  const { code } = await request.json();
+
+  if (!code) {
+    return jsonResponse({ error: 'Missing code' }, 400);
+  }
+
+  const userId = await redeemPairingCode(code, env);
+  if (!userId) {
+    return jsonResponse({ error: 'Invalid or expired pairing code' }, 404);
+  }
+
+  const deviceId = generateDeviceId();
+  const token = await issueDeviceToken(userId, deviceId, env);
+
+  console.log(`Paired new device ${deviceId} for user: ${userId}`);
+  return jsonResponse({ success: true, userId, deviceId, token });
+}
+
+/**
+ * Handle pulling encrypted journal records changed since a sequence number
+ */
+async function handlePullSync(request, userId, url, env) {
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  if (!await authenticateRequest(request, userId, env)) {
+    return unauthorizedResponse();
+  }
+
+  const since = parseInt(url.searchParams.get('since') || '0', 10) || 0;
+  const backup = await getBackup(userId, env);
+
+  if (!backup) {
+    return jsonResponse({ salt: null, keyCheck: null, seq: 0, records: [] });
+  }
+
+  const { seq, records } = await getRecordsSince(userId, since, env);
+  return jsonResponse({ salt: backup.salt, keyCheck: backup.keyCheck, seq, records });
+}
+
+/**
+ * Handle pushing encrypted journal records. The first push creates the
+ * backup and fixes its key-derivation salt and passphrase check value.
+ * Records that can't be stored (e.g. too large) are listed in `rejected`
+ * and the rest are stored anyway.
+ */
+async function handlePushSync(request, env) {
+  const { userId, salt, keyCheck, records } = await request.json();
+
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  if (!await authenticateRequest(request, userId, env)) {
+    return unauthorizedResponse();
+  }
+
+  const validationError = validateRecords(records);
+  if (validationError) {
+    return jsonResponse({ error: validationError }, 400);
+  }
+
+  const backup = await getBackup(userId, env);
+  if (!backup) {
+    if (typeof salt !== 'string' || !salt || !keyCheck || !keyCheck.iv || !keyCheck.data) {
+      return jsonResponse({ error: 'salt and keyCheck are required for the first backup' }, 400);
+    }
+  } else if (salt && salt !== backup.salt) {
+    return jsonResponse({ error: 'Backup was created with a different passphrase salt' }, 409);
+  }
+
+  const { accepted, rejected } = splitRecords(records);
+  const result = await storeRecords(userId, { salt: backup ? backup.salt : salt, keyCheck, records: accepted }, env);
+  if (!result.stored) {
+    // Another device created the backup first
+    return jsonResponse({ error: 'Backup was created with a different passphrase salt' }, 409);
+  }
+
+  return jsonResponse({ success: true, seq: result.seq, rejected });
+}
+
+/**
+ * Handle subscription status lookup, so the client can tell the user
+ * when the push service has expired this device's subscription
+ */
+async function handleGetSubscriptionStatus(request, userId, env) {
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  const auth = await authenticateRequest(request, userId, env);
+  if (!auth) return unauthorizedResponse();
+
+  const devices = await getDevices(userId, env);
+  const device = devices.find(d => d.deviceId === auth.deviceId);
+  if (!device) {
+    return jsonResponse({ status: 'none' });
+  }
+
+  const touched = touchDevice(devices, auth.deviceId);
+  if (touched) await saveDevices(userId, touched, env);
+
+  return jsonResponse({
+    status: device.status || 'active',
+    reason: device.expiredReason || null,
+    expiredAt: device.expiredAt || null
+  });
+}
+
+/**
+ * Handle listing a user's devices
+ */
+async function handleListDevices(request, userId, env) {
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  const auth = await authenticateRequest(request, userId, env);
+  if (!auth) return unauthorizedResponse();
+
+  const devices = await getDevices(userId, env);
+  return jsonResponse({
+    devices: devices.map(device => ({
+      ...describeDevice(device),
+      current: device.deviceId === auth.deviceId
+    }))
+  });
+}
+
+/**
+ * Handle a device dropping its push subscription. The device keeps its
+ * credentials (sync and settings still work) but leaves the device list, and
+ * its queued retries go. With no device left to remind, the schedule and its
+ * minute buckets go too.
+ *
+ * An `endpoint` limits this to that subscription, so a late report about an
+ * old subscription cannot drop the one that replaced it.
+ */
+async function handleUnsubscribe(request, env) {
+  const { userId, endpoint } = await request.json();
+
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  const auth = await authenticateRequest(request, userId, env);
+  if (!auth) return unauthorizedResponse();
+
+  const devices = await getDevices(userId, env);
+  const device = devices.find(d => d.deviceId === auth.deviceId);
+  if (!device) {
+    return jsonResponse({ success: true, removed: false });
+  }
+  if (endpoint && device.subscription && device.subscription.endpoint !== endpoint) {
+    return jsonResponse({ success: true, removed: false });
+  }
+
+  const remaining = devices.filter(d => d.deviceId !== auth.deviceId);
+  await saveDevices(userId, remaining, env);
+  await deleteDeviceRetries(userId, auth.deviceId, env);
+
+  if (activeDevices(remaining).length === 0) {
+    await deleteSchedule(userId, env);
+  }
+
+  console.log(`Unsubscribed device ${auth.deviceId} for user: ${userId}`);
+  return jsonResponse({ success: true, removed: true });
+}
+
+/**
+ * Handle deleting a user's account: everything the worker stores for them,
+ * on every device. The devices' tokens go with it.
+ */
+async function handleDeleteAccount(request, env) {
+  const { userId } = await request.json();
+
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  if (!await authenticateRequest(request, userId, env)) {
+    return unauthorizedResponse();
+  }
+
+  await deleteUserData(userId, env);
+
+  console.log(`Deleted account for user: ${userId}`);
+  return jsonResponse({ success: true });
+}
+
+/**
+ * Handle revoking one of a user's devices: its subscription and credentials
+ * are removed, so it gets no more reminders and can no longer call the API
+ */
+async function handleRevokeDevice(request, env) {
+  const { userId, deviceId } = await request.json();
+
+  if (!userId || !deviceId) {
+    return jsonResponse({ error: 'Missing userId or deviceId' }, 400);
+  }
+
+  const auth = await authenticateRequest(request, userId, env);
+  if (!auth) return unauthorizedResponse();
+
+  if (deviceId === auth.deviceId) {
+    return jsonResponse({ error: 'A device cannot revoke itself' }, 400);
+  }
+
+  const devices = await getDevices(userId, env);
+  const remaining = devices.filter(d => d.deviceId !== deviceId);
+  await saveDevices(userId, remaining, env);
+  await revokeDeviceToken(userId, deviceId, env);
+
+  if (activeDevices(remaining).length === 0) {
+    await deleteSchedule(userId, env);
+  }
+
+  return jsonResponse({ success: true });
+}
+
+/**
+ * Handle saving user settings and generating schedule
+ */
+async function handleSaveSettings(request, env) {
+  const { userId, settings } = await request.json();
+
+  if (!userId || !settings) {
+    return jsonResponse({ error: 'Missing userId or settings' }, 400);
+  }
+
+  if (!await authenticateRequest(request, userId, env)) {
+    return unauthorizedResponse();
+  }
+
+  const { enabled, timezone, weekly } = settings;
+  const minGapMinutes = settings.minGapMinutes ?? DEFAULT_MIN_GAP_MINUTES;
+  const snoozeMinutes = settings.snoozeMinutes ?? DEFAULT_SNOOZE_MINUTES;
+
+  // Validate settings
+  if (enabled) {
+    if (!timezone) {
+      return jsonResponse({ error: 'timezone is required' }, 400);
+    }
+    if (!Number.isInteger(minGapMinutes) || minGapMinutes < 1 || minGapMinutes > MAX_MIN_GAP_MINUTES) {
+      return jsonResponse({ error: `minGapMinutes must be between 1 and ${MAX_MIN_GAP_MINUTES}` }, 400);
+    }
+    if (!Number.isInteger(snoozeMinutes) || snoozeMinutes < MIN_SNOOZE_MINUTES || snoozeMinutes > MAX_SNOOZE_MINUTES) {
+      return jsonResponse({ error: `snoozeMinutes must be between ${MIN_SNOOZE_MINUTES} and ${MAX_SNOOZE_MINUTES}` }, 400);
+    }
+    if (settings.smartTiming !== undefined && typeof settings.smartTiming !== 'boolean') {
+      return jsonResponse({ error: 'smartTiming must be true or false' }, 400);
+    }
+    const promptError = validatePromptSettings(settings);
+    if (promptError) {
+      return jsonResponse({ error: promptError }, 400);
+    }
+
+    if (weekly) {
+      if (typeof weekly !== 'object' || Object.keys(weekly).some(day => !WEEKDAYS.includes(day))) {
+        return jsonResponse({ error: `weekly must be keyed by ${WEEKDAYS.join(', ')}` }, 400);
+      }
+
+      for (const day of WEEKDAYS) {
+        const plan = weekly[day];
+        if (!plan || !plan.enabled) continue;
+
+        const error = validateDayPlan(plan, minGapMinutes);
+        if (error) {
+          return jsonResponse({ ...error, error: `${day}: ${error.error}`, day }, 400);
+        }
+      }
+    } else {
+      const error = validateDayPlan(settings, minGapMinutes);
+      if (error) return jsonResponse(error, 400);
+    }
+  }
+
+  // A pause is only changed through /api/pause, so carry it over
+  const previousSettings = await getSettingsForUser(userId, env);
+  const storedSettings = {
+    ...settings,
+    pausedUntil: (previousSettings && previousSettings.pausedUntil) || null
+  };
+
+  // Store settings in KV
+  await env.GRATITUDE_KV.put(
+    `user:${userId}:settings`,
+    JSON.stringify(storedSettings)
+  );
+
+  if (!enabled) {
+    await deleteSchedule(userId, env);
+    return jsonResponse({ success: true, enabled: false });
+  }
+
+  // Keeps the existing schedule's prompt history
+  const existingSchedule = await getSchedule(userId, env);
+  const schedule = await buildScheduleForUser(userId, storedSettings, env, existingSchedule);
+  console.log(`Generated schedule for user ${userId} on ${schedule.date}:`, schedule.times);
+
+  return jsonResponse({ success: true, enabled: true, scheduleDate: schedule.date });
+}
+
+/**
+ * Handle pausing reminders until a local date (or resuming with `until: null`).
+ * Reminders resume automatically on that date.
+ */
+async function handlePause(request, env) {
+  const { userId, until } = await request.json();
+
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  if (!await authenticateRequest(request, userId, env)) {
+    return unauthorizedResponse();
+  }
+
+  if (until !== null && !isValidDate(until)) {
+    return jsonResponse({ error: 'until must be a YYYY-MM-DD date or null' }, 400);
+  }
+
+  const settings = await getSettingsForUser(userId, env);
+  if (!settings) {
+    return jsonResponse({ error: 'No settings found for user' }, 404);
+  }
+
+  // A date that is not in the future means "resume now"
+  const today = getDateInTimezone(settings.timezone || 'UTC');
+  settings.pausedUntil = until && until > today ? until : null;
+  await env.GRATITUDE_KV.put(`user:${userId}:settings`, JSON.stringify(settings));
+
+  if (settings.enabled) {
+    const previousSchedule = await getSchedule(userId, env);
+    await buildScheduleForUser(userId, settings, env, previousSchedule);
+  }
+
+  console.log(`Reminders for user ${userId} ${settings.pausedUntil ? `paused until ${settings.pausedUntil}` : 'resumed'}`);
+  return jsonResponse({ success: true, pausedUntil: settings.pausedUntil });
+}
+
+/**
+ * Handle the "Later" notification action: repeat a reminder after the user's
+ * snooze delay, within today's window and the daily snooze cap.
+ * Authorized by the schedule's snooze token rather than a device token.
+ */
+async function handleSnooze(request, env) {
+  const { userId, utcKey, token } = await request.json();
+
+  if (!userId || !utcKey || !token) {
+    return jsonResponse({ error: 'Missing userId, utcKey or token' }, 400);
+  }
+
+  let result = null;
+  await updateSchedule(userId, env, (schedule) => {
+    result = null;
+    if (!schedule.reminderToken || token !== schedule.reminderToken) return false;
+
+    result = planSnooze(schedule, utcKey, new Date());
+    if (result.error || result.existing) return false;
+
+    schedule.snoozes = [...(schedule.snoozes || []), { from: utcKey, utcKey: result.utcKey }];
+  });
+
+  if (!result) {
+    return unauthorizedResponse();
+  }
+  if (result.error) {
+    return jsonResponse({ error: result.error }, result.status);
+  }
+
+  if (!result.existing) {
+    console.log(`Snoozed reminder ${utcKey} for user ${userId} until ${result.utcKey}`);
+  }
+
+  return jsonResponse({ success: true, utcKey: result.utcKey });
+}
+
+/**
+ * Handle engagement events. The app sends them with its device token; the
+ * service worker, which has no device token, uses the reminder token from
+ * the push payload and may not report entries.
+ */
+async function handleEvents(request, env) {
+  const { userId, token, events } = await request.json();
+
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  const device = await authenticateRequest(request, userId, env);
+  if (!device) {
+    const schedule = token ? await getSchedule(userId, env) : null;
+    if (!schedule || ![schedule.reminderToken, schedule.previousReminderToken].includes(token)) {
+      return unauthorizedResponse();
+    }
+  }
+
+  const error = validateEvents(events);
+  if (error) {
+    return jsonResponse({ error }, 400);
+  }
+  if (!device && events.some(event => event.type === 'entry')) {
+    return jsonResponse({ error: 'Entry events need a device token' }, 403);
+  }
+
+  await recordEvents(userId, events, new Date(), env);
+
+  return jsonResponse({ success: true, recorded: events.length });
+}
+
+/**
+ * Handle getting reminder engagement stats for the stats period
+ */
+async function handleGetStats(request, userId, env) {
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  if (!await authenticateRequest(request, userId, env)) {
+    return unauthorizedResponse();
+  }
+
+  const engagement = await getEngagement(userId, env);
+  const timing = await getTimingProfile(userId, env);
+
+  return jsonResponse({
+    stats: summarizeEngagement(engagement, new Date()),
+    timing: timing && {
+      samples: timing.samples,
+      needed: MIN_TIMING_SAMPLES,
+      active: Boolean(timing.weights),
+      learnedAt: timing.learnedAt
+    }
+  });
+}
+
+/**
+ * Handle the delivery log: recent push attempts per device and today's
+ * reminders, so users can see what was sent without server logs
+ */
+async function handleGetDeliveries(request, userId, env) {
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  if (!await authenticateRequest(request, userId, env)) {
+    return unauthorizedResponse();
+  }
+
+  const devices = await getDevices(userId, env);
+  const labels = new Map(devices.map(device => [device.deviceId, describeDevice(device).label]));
+  const attempts = (await getDeliveryLog(userId, env)).map(attempt => ({
+    ...attempt,
+    deviceLabel: labels.get(attempt.deviceId) || 'Removed device'
+  }));
+
+  return jsonResponse({ attempts, today: describeTodaysReminders(await getSchedule(userId, env)) });
+}
+
+/**
+ * Handle exporting everything the worker stores about a user as one JSON
+ * document. Secrets stay out: device credentials, push subscription keys and
+ * the schedule's reminder tokens. The backup is ciphertext, so only its size
+ * is included; the journal itself is exported on the device.
+ */
+async function handleExport(request, userId, env) {
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
+  }
+
+  if (!await authenticateRequest(request, userId, env)) {
+    return unauthorizedResponse();
+  }
+
+  const now = new Date();
+  const schedule = await getSchedule(userId, env);
+  const engagement = await getEngagement(userId, env);
+  const backup = await getBackup(userId, env);
+
+  let exportedSchedule = null;
+  if (schedule) {
+    const { reminderToken, previousReminderToken, ...rest } = schedule;
+    exportedSchedule = rest;
+  }
+
+  return jsonResponse({
+    exportedAt: now.toISOString(),
+    userId,
+    settings: await getSettingsForUser(userId, env),
+    devices: (await getDevices(userId, env)).map(describeDevice),
+    schedule: exportedSchedule,
+    deliveries: await getDeliveryHistory(userId, env),
+    engagement: {
+      stats: summarizeEngagement(engagement, now),
+      records: engagement
+    },
+    timing: await getTimingProfile(userId, env),
+    backup: backup && {
+      records: backup.records,
+      seq: backup.seq
+    }
+  });
+}
+
+/**
+ * Today's reminders and snoozes in local time, without the schedule's tokens
+ */
+function describeTodaysReminders(schedule) {
+  if (!schedule || !schedule.timezone) return null;
+
+  const sentUtc = Array.isArray(schedule.sentUtc) ? schedule.sentUtc : [];
+  const times = Array.isArray(schedule.times) ? schedule.times : [];
+  const utcTimes = Array.isArray(schedule.utcTimes) ? schedule.utcTimes : [];
+  const snoozes = Array.isArray(schedule.snoozes) ? schedule.snoozes : [];
+
+  const reminders = [
+    ...utcTimes.map((utcKey, i) => ({ time: times[i], utcKey, snoozed: false })),
+    ...snoozes.map(snooze => ({
+      time: getTimeInTimezone(schedule.timezone, new Date(`${snooze.utcKey}:00Z`)),
+      utcKey: snooze.utcKey,
+      snoozed: true
+    }))
+  ];
+
+  return {
+    date: schedule.date,
+    timezone: schedule.timezone,
+    pausedUntil: schedule.pausedUntil || null,
+    reminders: reminders
+      .map(reminder => ({ ...reminder, sent: sentUtc.includes(reminder.utcKey) }))
+      .sort((a, b) => a.utcKey.localeCompare(b.utcKey))
+  };
+}
+
+/**
+ * Handle test push - manually trigger a push notification for testing
+ */
+async function handleTestPush(request, env) {
+  const { userId } = await request.json();
 
-    await processMinuteBucket(env);
+  if (!userId) {
+    return jsonResponse({ error: 'Missing userId' }, 400);
   }
-};
+
+  if (!await authenticateRequest(request, userId, env)) {
+    return unauthorizedResponse();
+  }
+
+  return await sendTestPush(userId, env);
+}
 
 /**
- * Handle push subscription storage
+ * Send a test notification to every active device of a user
  */
-async function handleSubscribe(request, env) {
-  const { userId, subscription } = await request.json();
-
-  if (!userId || !subscription) {
-    return jsonResponse({ error: 'Missing userId or subscription' }, 400);
+async function sendTestPush(userId, env) {
+  const devices = await getDevices(userId, env);
+  if (activeDevices(devices).length === 0) {
+    return jsonResponse({ error: 'No subscription found for user' }, 404);
   }
 
-  // Store subscription in KV
-  await env.GRATITUDE_KV.put(
-    `user:${userId}:subscription`,
-    JSON.stringify(subscription)
-  );
+  const result = await sendToDevices(userId, devices, {
+    title: 'Test Reminder',
+    body: 'Push notifications are working. Take a moment for gratitude!',
+    url: './#entry',
+    tag: 'gratitude-test'
+  }, env);
 
-  console.log(`Stored subscription for user: ${userId}`);
-  return jsonResponse({ success: true });
+  if (result.delivered > 0) {
+    return jsonResponse({ success: true, message: 'Test push sent', delivered: result.delivered });
+  }
+  if (result.errors.length === 0) {
+    return jsonResponse({ error: 'Subscription expired', status: 'expired' }, 410);
+  }
+  return jsonResponse({ error: 'Failed to send push', details: result.errors[0].message }, 500);
 }
 
+// Every user has at least one of these KV keys
+const USER_MARKER_KEYS = ['credentials', 'subscriptions', 'settings'];
+// In KV keys. Each listed user costs a few KV and D1 calls, and one request
+// may make at most 1000, so pages stay well below that
+const ADMIN_PAGE_SIZE = 50;
+const MAX_ADMIN_PAGE_SIZE = 100;
+const ADMIN_DELIVERY_DAYS = 7;
+const MAX_ADMIN_DELIVERY_DAYS = 30;
+
 /**
- * Handle saving user settings and generating schedule
+ * Route admin requests. They are authorized with the ADMIN_SECRET secret
+ * instead of a device token and may act on any user.
  */
-async function handleSaveSettings(request, env) {
-  const { userId, settings } = await request.json();
+async function handleAdminRequest(request, path, url, env) {
+  if (!await authenticateAdmin(request, env)) {
+    return unauthorizedResponse();
+  }
 
-  if (!userId || !settings) {
-    return jsonResponse({ error: 'Missing userId or settings' }, 400);
+  if (path === '/api/admin/users' && request.method === 'GET') {
+    return await handleAdminListUsers(url, env);
   }
 
-  const { enabled, remindersPerDay, startTime, endTime, timezone } = settings;
+  if (path === '/api/admin/deliveries' && request.method === 'GET') {
+    return await handleAdminDeliveries(url, env);
+  }
 
-  // Validate settings
-  if (enabled) {
-    if (!remindersPerDay || remindersPerDay < 1 || remindersPerDay > 10) {
-      return jsonResponse({ error: 'remindersPerDay must be between 1 and 10' }, 400);
-    }
-    if (!startTime || !endTime) {
-      return jsonResponse({ error: 'startTime and endTime are required' }, 400);
+  if (path === '/api/admin/rebuild' && request.method === 'POST') {
+    return await handleAdminRebuild(request, env);
+  }
+
+  if (path === '/api/admin/rebuild-all' && request.method === 'POST') {
+    return await handleAdminRebuildAll(request, env);
+  }
+
+  if (path === '/api/admin/test-push' && request.method === 'POST') {
+    const { userId } = await request.json();
+    if (!userId) {
+      return jsonResponse({ error: 'Missing userId' }, 400);
     }
-    if (!timezone) {
-      return jsonResponse({ error: 'timezone is required' }, 400);
+    return await sendTestPush(userId, env);
+  }
+
+  if (path === '/api/admin/delete-user' && request.method === 'POST') {
+    const { userId } = await request.json();
+    if (!userId) {
+      return jsonResponse({ error: 'Missing userId' }, 400);
     }
+    await deleteUserData(userId, env);
+    console.log(`Admin deleted user ${userId}`);
+    return jsonResponse({ success: true });
   }
 
-  // Store settings in KV
-  await env.GRATITUDE_KV.put(
-    `user:${userId}:settings`,
-    JSON.stringify(settings)
-  );
+  return jsonResponse({ error: 'Not found' }, 404);
+}
 
-  // Remove any existing buckets for this user before regenerating
-  const existingScheduleJson = await env.GRATITUDE_KV.get(`schedule:${userId}`);
-  if (existingScheduleJson) {
-    try {
-      const existingSchedule = JSON.parse(existingScheduleJson);
-      if (Array.isArray(existingSchedule.utcTimes)) {
-        await removeUserFromBuckets(userId, existingSchedule.utcTimes, env);
+/**
+ * Handle listing users with their device and schedule state, a KV.list page
+ * at a time (?cursor=...&limit=...)
+ */
+async function handleAdminListUsers(url, env) {
+  const page = await listUserIds(env, url.searchParams.get('cursor'), pageSize(url.searchParams.get('limit')));
+
+  const users = [];
+  for (const userId of page.userIds) {
+    const settings = await getSettingsForUser(userId, env);
+    const devices = await getDevices(userId, env);
+    const schedule = await getSchedule(userId, env);
+    const active = activeDevices(devices).length;
+
+    users.push({
+      userId,
+      remindersEnabled: Boolean(settings && settings.enabled),
+      pausedUntil: (settings && settings.pausedUntil) || null,
+      devices: { active, expired: devices.length - active },
+      schedule: schedule && {
+        date: schedule.date,
+        timezone: schedule.timezone,
+        reminders: (schedule.utcTimes || []).length,
+        sent: (schedule.sentUtc || []).length,
+        snoozes: (schedule.snoozes || []).length
       }
-    } catch (error) {
-      console.warn('Failed to parse existing schedule for cleanup:', error);
-    }
+    });
   }
 
-  if (!enabled) {
-    await env.GRATITUDE_KV.delete(`schedule:${userId}`);
-    return jsonResponse({ success: true, enabled: false });
-  }
+  return jsonResponse({ users, cursor: page.cursor });
+}
 
-  const schedule = await buildScheduleForUser(userId, settings, env);
-  console.log(`Generated schedule for user ${userId} on ${schedule.date}:`, schedule.times);
+/**
+ * Handle delivery counts per UTC day and outcome (?days=N)
+ */
+async function handleAdminDeliveries(url, env) {
+  const days = parseInt(url.searchParams.get('days') || ADMIN_DELIVERY_DAYS, 10);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_ADMIN_DELIVERY_DAYS) {
+    return jsonResponse({ error: `days must be between 1 and ${MAX_ADMIN_DELIVERY_DAYS}` }, 400);
+  }
 
-  return jsonResponse({ success: true, enabled: true, scheduleDate: schedule.date });
+  return jsonResponse({ days: await summarizeDeliveries(days, new Date(), env) });
 }
 
 /**
- * Handle test push - manually trigger a push notification for testing
+ * Handle rebuilding one user's schedule from their stored settings
  */
-async function handleTestPush(request, env) {
+async function handleAdminRebuild(request, env) {
   const { userId } = await request.json();
-
   if (!userId) {
     return jsonResponse({ error: 'Missing userId' }, 400);
   }
 
-  // Get user's subscription
-  const subscriptionJson = await env.GRATITUDE_KV.get(`user:${userId}:subscription`);
-  if (!subscriptionJson) {
-    return jsonResponse({ error: 'No subscription found for user' }, 404);
+  const schedule = await rebuildScheduleForUser(userId, env);
+  if (!schedule) {
+    return jsonResponse({ error: 'Reminders are not enabled for this user' }, 409);
   }
 
-  const subscription = JSON.parse(subscriptionJson);
+  return jsonResponse({ success: true, scheduleDate: schedule.date, times: schedule.times });
+}
 
-  try {
-    await sendPush(subscription, env);
-    return jsonResponse({ success: true, message: 'Test push sent' });
-  } catch (error) {
-    return jsonResponse({ error: 'Failed to send push', details: error.message }, 500);
+/**
+ * Handle rebuilding every enabled user's schedule, a KV.list page per
+ * request: call again with the returned cursor until it is null
+ */
+async function handleAdminRebuildAll(request, env) {
+  const { cursor, limit } = await request.json().catch(() => ({}));
+  const page = await listUserIds(env, cursor || null, pageSize(limit));
+
+  let rebuilt = 0;
+  for (const userId of page.userIds) {
+    if (await rebuildScheduleForUser(userId, env)) rebuilt++;
+  }
+
+  return jsonResponse({ rebuilt, cursor: page.cursor });
+}
+
+/**
+ * One page of user IDs, following KV.list paging. A user whose keys straddle
+ * two pages can appear on both.
+ * @returns {Promise<{userIds: string[], cursor: string|null}>} cursor is null on the last page
+ */
+async function listUserIds(env, cursor, limit) {
+  const listResult = await env.GRATITUDE_KV.list({ prefix: 'user:', cursor: cursor || undefined, limit });
+
+  const userIds = new Set();
+  for (const key of listResult.keys) {
+    const [, userId, kind] = key.name.split(':');
+    if (USER_MARKER_KEYS.includes(kind)) userIds.add(userId);
   }
+
+  return { userIds: [...userIds], cursor: listResult.list_complete ? null : listResult.cursor };
+}
+
+function pageSize(limit) {
+  const size = parseInt(limit, 10);
+  return Number.isInteger(size) && size > 0 ? Math.min(size, MAX_ADMIN_PAGE_SIZE) : ADMIN_PAGE_SIZE;
+}
+
+/**
+ * Build a fresh schedule for a user from their stored settings
+ * @returns {Promise<Object|null>} The schedule, or null when reminders are off
+ */
+async function rebuildScheduleForUser(userId, env) {
+  const settings = await getSettingsForUser(userId, env);
+  if (!settings || !settings.enabled) return null;
+
+  return await buildScheduleForUser(userId, settings, env, await getSchedule(userId, env));
+}
+
+/**
+ * Delete everything stored for a user: every user:{id}:* KV key (settings,
+ * devices, credentials, timing), their schedule with its minute buckets,
+ * their delivery history and queued retries, their reminder engagement,
+ * their backup, and any unredeemed pairing codes.
+ */
+async function deleteUserData(userId, env) {
+  let cursor;
+  do {
+    const listResult = await env.GRATITUDE_KV.list({ prefix: `user:${userId}:`, cursor });
+    for (const key of listResult.keys) {
+      await env.GRATITUDE_KV.delete(key.name);
+    }
+
+    cursor = listResult.cursor;
+    if (listResult.list_complete) break;
+  } while (cursor);
+
+  await deleteSchedule(userId, env);
+  await deleteDeliveryHistory(userId, env);
+  await deleteEngagement(userId, env);
+  await deleteBackup(userId, env);
+  await deletePairingCodes(userId, env);
 }
 
 /**
  * Handle getting user settings
  */
-async function handleGetSettings(userId, env) {
+async function handleGetSettings(request, userId, env) {
   if (!userId) {
     return jsonResponse({ error: 'Missing userId' }, 400);
   }
 
+  if (!await authenticateRequest(request, userId, env)) {
+    return unauthorizedResponse();
+  }
+
   const settings = await env.GRATITUDE_KV.get(`user:${userId}:settings`);
 
   if (!settings) {
@@ -198,31 +1152,64 @@ async function handleGetSettings(userId, env) {
   return jsonResponse({ settings: JSON.parse(settings) });
 }
 
-const BUCKET_TTL_SECONDS = 60 * 60 * 48;
+// Reminders from minutes missed by the cron are still sent up to this late
+const MAX_CATCH_UP_MINUTES = 15;
 
 /**
- * Process scheduled push notifications for the current UTC minute
+ * Process scheduled push notifications for every UTC minute since the last
+ * processed one, so a skipped, delayed or failed cron run doesn't lose them
  */
-async function processMinuteBucket(env) {
-  const { date: utcDate, time: utcTime } = getCurrentUtcParts();
-  const bucket = bucketKey(utcDate, utcTime);
+async function processDueBuckets(env) {
+  const now = new Date();
+  const nowKey = utcMinuteKey(now);
+  const oldestKey = utcMinuteKey(new Date(now.getTime() - MAX_CATCH_UP_MINUTES * 60 * 1000));
+
+  const lastKey = await getLastProcessedMinute(env);
+  if (lastKey && lastKey >= nowKey) return;
 
-  const bucketJson = await env.GRATITUDE_KV.get(bucket);
-  if (!bucketJson) return;
+  // Claim the minutes first, so an overlapping run doesn't process them too
+  if (!await moveLastProcessedMinute(lastKey, nowKey, env)) return;
+
+  // Without a previous run only the current minute is due
+  const startKey = lastKey || utcMinuteKey(new Date(now.getTime() - 60 * 1000));
+  if (startKey < oldestKey) {
+    console.warn(`Skipped reminders after ${startKey} up to ${oldestKey}: more than ${MAX_CATCH_UP_MINUTES} minutes late`);
+  }
+  const afterKey = startKey > oldestKey ? startKey : oldestKey;
 
-  let userIds;
+  let due;
   try {
-    userIds = JSON.parse(bucketJson);
+    due = await getDueBuckets(afterKey, nowKey, env);
   } catch (error) {
-    console.warn('Invalid bucket payload:', bucket, error);
+    // Hand the claimed minutes back, so the next run sends them
+    console.error(`Failed to read reminders due after ${afterKey}:`, error);
+    await moveLastProcessedMinute(nowKey, startKey, env);
     return;
   }
 
-  if (!Array.isArray(userIds) || userIds.length === 0) return;
+  // Users run in parallel; one user's minutes run in order, since each
+  // send updates their schedule
+  const keysByUser = new Map();
+  for (const { utcKey, userId } of due) {
+    keysByUser.set(userId, [...(keysByUser.get(userId) || []), utcKey]);
+  }
+
+  let failedKey = null;
+  await runInBatches([...keysByUser], FANOUT_CONCURRENCY, async ([userId, utcKeys]) => {
+    for (const utcKey of utcKeys) {
+      try {
+        await processUserForUtcTime(userId, utcKey, env);
+      } catch (error) {
+        console.error(`Failed to process reminder ${utcKey} for user ${userId}:`, error);
+        if (!failedKey || utcKey < failedKey) failedKey = utcKey;
+      }
+    }
+  });
 
-  const utcKey = `${utcDate}T${utcTime}`;
-  for (const userId of userIds) {
-    await processUserForUtcTime(userId, utcKey, env);
+  // Retry from the first failed minute next time; sentUtc skips what already went out
+  if (failedKey) {
+    const beforeFailed = utcMinuteKey(new Date(Date.parse(`${failedKey}:00Z`) - 60 * 1000));
+    await moveLastProcessedMinute(nowKey, beforeFailed, env);
   }
 }
 
@@ -230,18 +1217,10 @@ async function processMinuteBucket(env) {
  * Process a single user for a specific UTC minute
  */
 async function processUserForUtcTime(userId, utcKey, env) {
-  const scheduleJson = await env.GRATITUDE_KV.get(`schedule:${userId}`);
-  if (!scheduleJson) return;
-
-  let schedule;
-  try {
-    schedule = JSON.parse(scheduleJson);
-  } catch (error) {
-    console.warn('Invalid schedule payload for user:', userId, error);
-    return;
-  }
+  const schedule = await getSchedule(userId, env);
+  if (!schedule) return;
 
-  if (!Array.isArray(schedule.utcTimes) || !schedule.utcTimes.includes(utcKey)) {
+  if (!scheduleBucketKeys(schedule).includes(utcKey)) {
     return;
   }
 
@@ -249,200 +1228,326 @@ async function processUserForUtcTime(userId, utcKey, env) {
   if (sentUtc.includes(utcKey)) return;
 
   if (!schedule.timezone) return;
-  const currentDate = getDateInTimezone(schedule.timezone);
-  if (schedule.date !== currentDate) return;
+  if (schedule.date !== currentScheduleDate(schedule)) return;
 
-  const subscriptionJson = await env.GRATITUDE_KV.get(`user:${userId}:subscription`);
-  if (!subscriptionJson) {
+  const devices = await getDevices(userId, env);
+  if (activeDevices(devices).length === 0) {
     console.log(`No subscription found for user ${userId}`);
     return;
   }
 
-  const subscription = JSON.parse(subscriptionJson);
+  const result = await sendToDevices(userId, devices, buildReminderPayload(userId, utcKey, schedule), env);
+
+  // Marked right after sending, so nothing that fails below sends it again.
+  // From here on the retry queue owns failed devices, and failures that won't
+  // pass are only recorded. If every device expired the schedule is gone.
+  if (result.results.some(r => !r.expired)) {
+    await updateSchedule(userId, env, (current) => {
+      // Rebuilt for another day while sending, or marked by another run
+      const currentSentUtc = Array.isArray(current.sentUtc) ? current.sentUtc : [];
+      if (!scheduleBucketKeys(current).includes(utcKey) || currentSentUtc.includes(utcKey)) return false;
+      current.sentUtc = [...currentSentUtc, utcKey];
+    });
+  }
+
+  // The push went out; a failure to log it (or queue its retries) is not worth sending it twice
+  let queued = 0;
+  try {
+    queued = await recordAttempts(userId, utcKey, 1, result.results, env);
+  } catch (error) {
+    console.error(`Failed to record push for user ${userId} at ${utcKey}:`, error);
+  }
 
-  await sendPush(subscription, env);
+  console.log(`Push for user ${userId} at ${utcKey}: ${result.delivered} delivered, ${queued} queued for retry`);
+}
 
-  sentUtc.push(utcKey);
-  schedule.sentUtc = sentUtc;
-  await env.GRATITUDE_KV.put(`schedule:${userId}`, JSON.stringify(schedule));
+/**
+ * Retry pushes that failed transiently and are due again. A retry is dropped
+ * once its reminder is no longer on the user's current schedule or the
+ * device is gone. Only retries this run claimed are sent, so it is safe to
+ * overlap with a slow previous run.
+ */
+async function processRetries(env) {
+  const retries = await claimDueRetries(new Date(), env);
+
+  await runInBatches(retries, FANOUT_CONCURRENCY, async (retry) => {
+    const { userId, deviceId, utcKey, attempt } = retry;
+    const schedule = await getSchedule(userId, env);
+    const devices = await getDevices(userId, env);
+
+    const stillDue = schedule
+      && scheduleBucketKeys(schedule).includes(utcKey)
+      && schedule.date === currentScheduleDate(schedule)
+      && activeDevices(devices).some(d => d.deviceId === deviceId);
+    if (!stillDue) {
+      await deleteRetry(retry, env);
+      return;
+    }
 
-  console.log(`Push sent to user ${userId} at ${utcKey}`);
+    const result = await sendToDevices(userId, devices, buildReminderPayload(userId, utcKey, schedule), env, [deviceId]);
+    await recordAttempts(userId, utcKey, attempt, result.results, env);
+    console.log(`Retry ${attempt} of ${utcKey} for user ${userId} device ${deviceId}: ${result.delivered ? 'delivered' : 'failed'}`);
+  });
 }
 
 /**
- * Hourly refresh: ensure schedules exist for the user's current local day
+ * Send a payload to every active device of a user, or only to `deviceIds`.
+ * Devices the push service reports as gone (404/410) are marked expired; when
+ * none are left the user is taken out of future minute buckets. Expiries are
+ * applied to the device list as it is after sending, since another send or a
+ * re-subscribe may have changed it in the meantime.
+ * @returns {Promise<{delivered: number, errors: Error[], results: Array<{deviceId: string, error: Error|null, expired: boolean}>}>}
  */
-async function refreshSchedules(env) {
-  let cursor;
-  do {
-    const listResult = await env.GRATITUDE_KV.list({ prefix: 'schedule:', cursor });
+async function sendToDevices(userId, devices, payload, env, deviceIds = null) {
+  const expiries = [];
+  let delivered = 0;
+  const errors = [];
+  const results = [];
+
+  const currentKey = currentVapidKey(env);
+
+  for (const device of activeDevices(devices)) {
+    if (deviceIds && !deviceIds.includes(device.deviceId)) continue;
+
+    const vapidKey = vapidKeyForDevice(device, env);
+    if (!vapidKey) {
+      expiries.push({ device, reason: 'Subscribed with a retired VAPID key' });
+      console.log(`Expired subscription on a retired VAPID key for user ${userId} device ${device.deviceId}`);
+      results.push({ deviceId: device.deviceId, error: new Error('Subscribed with a retired VAPID key'), expired: true });
+      continue;
+    }
 
-    for (const key of listResult.keys) {
-      const parts = key.name.split(':');
-
-      // Legacy format: schedule:{date}:{userId}
-      if (parts.length === 3) {
-        const userId = parts[2];
-        const settings = await getSettingsForUser(userId, env);
-        if (settings && settings.enabled) {
-          await buildScheduleForUser(userId, settings, env);
-        }
-        await env.GRATITUDE_KV.delete(key.name);
-        continue;
+    // Devices still on an older key are asked to move to the current one
+    const devicePayload = vapidKey.publicKey === currentKey.publicKey ? payload : { ...payload, resubscribe: true };
+
+    try {
+      await sendPush(device.subscription, vapidKey, env, devicePayload);
+      delivered++;
+      results.push({ deviceId: device.deviceId, error: null, expired: false });
+    } catch (error) {
+      const expired = isSubscriptionGone(error);
+      if (expired) {
+        expiries.push({ device, reason: `Push service responded ${error.statusCode}` });
+        console.log(`Pruned expired subscription for user ${userId} device ${device.deviceId} (${error.statusCode})`);
+      } else {
+        errors.push(error);
+      }
+      results.push({ deviceId: device.deviceId, error, expired });
+    }
+  }
+
+  if (expiries.length > 0) {
+    let current = await getDevices(userId, env);
+    for (const { device, reason } of expiries) {
+      // A device that re-subscribed while this send ran keeps its new subscription
+      const stored = current.find(d => d.deviceId === device.deviceId);
+      if (stored && stored.subscription && stored.subscription.endpoint === device.subscription.endpoint) {
+        current = expireDevice(current, device.deviceId, reason);
       }
+    }
 
-      if (parts.length !== 2) continue;
+    await saveDevices(userId, current, env);
+    if (activeDevices(current).length === 0) {
+      await deleteSchedule(userId, env);
+    }
+  }
 
-      const userId = parts[1];
-      const scheduleJson = await env.GRATITUDE_KV.get(key.name);
-      if (!scheduleJson) continue;
+  return { delivered, errors, results };
+}
 
-      let schedule;
-      try {
-        schedule = JSON.parse(scheduleJson);
-      } catch (error) {
-        console.warn('Invalid schedule payload for user:', userId, error);
-        continue;
-      }
+function isSubscriptionGone(error) {
+  return error.statusCode === 404 || error.statusCode === 410;
+}
+
+/**
+ * Hourly refresh: ensure schedules exist for the user's current local day
+ */
+async function refreshSchedules(env) {
+  let afterUserId = '';
+  let page;
+  do {
+    page = await listSchedules(env, afterUserId);
 
+    for (const { userId, schedule } of page.schedules) {
       if (!schedule.timezone) continue;
 
-      const currentDate = getDateInTimezone(schedule.timezone);
-      if (schedule.date === currentDate) continue;
+      // A window that crosses midnight rolls over once it closes, not at midnight
+      if (schedule.date === currentScheduleDate(schedule)) continue;
 
       const settings = settingsFromSchedule(schedule) || await getSettingsForUser(userId, env);
       if (!settings || !settings.enabled) {
-        await env.GRATITUDE_KV.delete(key.name);
+        await deleteSchedule(userId, env);
         continue;
       }
 
       await buildScheduleForUser(userId, settings, env, schedule);
     }
 
-    cursor = listResult.cursor;
-    if (listResult.list_complete) break;
-  } while (cursor);
+    afterUserId = page.lastUserId;
+  } while (page.rows === SCHEDULE_PAGE_SIZE);
+}
+
+/**
+ * Replace a schedule:{date}:{userId} KV key (the format before per-user
+ * schedules) with a fresh schedule built from the user's settings
+ */
+async function rebuildLegacySchedule(userId, env) {
+  const settings = await getSettingsForUser(userId, env);
+  if (settings && settings.enabled) {
+    await buildScheduleForUser(userId, settings, env);
+  }
 }
 
 /**
  * Build a schedule for a user and create minute buckets
  */
 async function buildScheduleForUser(userId, settings, env, previousSchedule = null) {
-  const { remindersPerDay, startTime, endTime, timezone } = settings;
-  const reminders = parseInt(remindersPerDay, 10);
-  const date = getDateInTimezone(timezone);
-  const times = generateRandomTimes(reminders, startTime, endTime, date);
-
-  const utcTimes = times.map((time) => {
-    const utc = toUtcDateTimeParts(date, time, timezone);
-    return `${utc.date}T${utc.time}`;
-  });
+  const { timezone } = settings;
+  const minGapMinutes = settings.minGapMinutes ?? DEFAULT_MIN_GAP_MINUTES;
+  const { date, plan } = getScheduleDay(settings, timezone);
+
+  // A day switched off in the weekly plan still gets an (empty) schedule, so
+  // refreshSchedules rolls it over to the next day
+  let times = [];
+  let utcTimes = [];
+  let windowEndUtc = null;
+  let hourWeights = null;
+  let prompts = [];
+  let recentPrompts = previousSchedule && Array.isArray(previousSchedule.recentPrompts)
+    ? previousSchedule.recentPrompts
+    : [];
+
+  if (plan) {
+    if (settings.smartTiming) {
+      hourWeights = await refreshTimingWeights(userId, timezone, env);
+    }
+
+    const reminders = parseInt(plan.remindersPerDay, 10);
+    const gap = fitMinGap(reminders, plan.startTime, plan.endTime, minGapMinutes);
+    times = generateRandomTimes(reminders, plan.startTime, plan.endTime, date, gap, hourWeights);
 
-  if (previousSchedule && Array.isArray(previousSchedule.utcTimes)) {
-    await removeUserFromBuckets(userId, previousSchedule.utcTimes, env);
+    const toUtcKey = (time) => {
+      const utc = toUtcDateTimeParts(localDateForTime(date, time, plan.startTime), time, timezone);
+      return `${utc.date}T${utc.time}`;
+    };
+    utcTimes = times.map(toUtcKey);
+    windowEndUtc = toUtcKey(plan.endTime);
+
+    ({ prompts, recent: recentPrompts } = pickPrompts(times.length, settings, recentPrompts));
   }
 
   const schedule = {
     date,
     timezone,
-    remindersPerDay: reminders,
-    startTime,
-    endTime,
+    remindersPerDay: settings.remindersPerDay,
+    startTime: settings.startTime,
+    endTime: settings.endTime,
+    weekly: settings.weekly || null,
+    pausedUntil: settings.pausedUntil || null,
+    minGapMinutes,
+    snoozeMinutes: settings.snoozeMinutes ?? DEFAULT_SNOOZE_MINUTES,
+    smartTiming: Boolean(settings.smartTiming),
+    promptCategories: settings.promptCategories || null,
+    customPrompts: settings.customPrompts || [],
+    // Which draw produced today's times; smart timing needs enough data first
+    timing: hourWeights ? 'smart' : 'uniform',
     times,
     utcTimes,
-    sentUtc: []
+    windowEndUtc,
+    // Notification text for each entry of utcTimes
+    prompts,
+    recentPrompts,
+    sentUtc: [],
+    snoozes: [],
+    reminderToken: generateReminderToken(),
+    // Engagement for yesterday's reminders may still come in after rollover
+    previousReminderToken: previousSchedule ? previousSchedule.reminderToken || null : null
   };
 
-  await env.GRATITUDE_KV.put(`schedule:${userId}`, JSON.stringify(schedule));
-  await addUserToBuckets(userId, utcTimes, env);
+  // Replaces the previous schedule's buckets as well
+  await saveSchedule(userId, schedule, env);
 
   return schedule;
 }
 
-async function addUserToBuckets(userId, utcTimes, env) {
-  for (const utcKey of utcTimes) {
-    const [date, time] = utcKey.split('T');
-    if (!date || !time) continue;
-    await addUserToBucket(userId, date, time, env);
-  }
+/**
+ * Relearn a user's smart timing weights from their engagement and store them
+ * @returns {Promise<number[]|null>} Weights per local hour, or null while there is too little data
+ */
+async function refreshTimingWeights(userId, timezone, env) {
+  const profile = learnTimingWeights(await getEngagement(userId, env), timezone, new Date());
+  await saveTimingProfile(userId, profile, env);
+  return profile.weights;
 }
 
-async function removeUserFromBuckets(userId, utcTimes, env) {
-  for (const utcKey of utcTimes) {
-    const [date, time] = utcKey.split('T');
-    if (!date || !time) continue;
-    await removeUserFromBucket(userId, date, time, env);
-  }
+function utcMinuteKey(date) {
+  return date.toISOString().slice(0, 16);
 }
 
-async function addUserToBucket(userId, date, time, env) {
-  const key = bucketKey(date, time);
-  const existingJson = await env.GRATITUDE_KV.get(key);
-  let list = [];
-
-  if (existingJson) {
-    try {
-      const parsed = JSON.parse(existingJson);
-      if (Array.isArray(parsed)) list = parsed;
-    } catch (error) {
-      console.warn('Invalid bucket payload:', key, error);
-    }
+function settingsFromSchedule(schedule) {
+  if (!schedule || !schedule.timezone) return null;
+  if (!schedule.weekly && (!schedule.remindersPerDay || !schedule.startTime || !schedule.endTime)) {
+    return null;
   }
 
-  if (!list.includes(userId)) {
-    list.push(userId);
-    await env.GRATITUDE_KV.put(key, JSON.stringify(list), { expirationTtl: BUCKET_TTL_SECONDS });
-  }
+  return {
+    enabled: true,
+    remindersPerDay: schedule.remindersPerDay,
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    weekly: schedule.weekly || null,
+    pausedUntil: schedule.pausedUntil || null,
+    minGapMinutes: schedule.minGapMinutes,
+    snoozeMinutes: schedule.snoozeMinutes,
+    smartTiming: Boolean(schedule.smartTiming),
+    promptCategories: schedule.promptCategories || null,
+    customPrompts: schedule.customPrompts || [],
+    timezone: schedule.timezone
+  };
+}
+
+/**
+ * The local date a schedule should currently be for
+ */
+function currentScheduleDate(schedule) {
+  const settings = settingsFromSchedule(schedule);
+  return settings ? getScheduleDay(settings, schedule.timezone).date : getDateInTimezone(schedule.timezone);
 }
 
-async function removeUserFromBucket(userId, date, time, env) {
-  const key = bucketKey(date, time);
-  const existingJson = await env.GRATITUDE_KV.get(key);
-  if (!existingJson) return;
+/**
+ * Validate one day's reminders and window
+ * @returns {Object|null} Error response body, or null when valid
+ */
+function validateDayPlan(plan, minGapMinutes) {
+  const { remindersPerDay, startTime, endTime } = plan;
 
-  let list;
-  try {
-    list = JSON.parse(existingJson);
-  } catch (error) {
-    console.warn('Invalid bucket payload:', key, error);
-    return;
+  if (!remindersPerDay || remindersPerDay < 1 || remindersPerDay > 10) {
+    return { error: 'remindersPerDay must be between 1 and 10' };
+  }
+  if (!isValidTime(startTime) || !isValidTime(endTime)) {
+    return { error: 'startTime and endTime are required (HH:MM)' };
   }
 
-  if (!Array.isArray(list)) return;
-  const filtered = list.filter(id => id !== userId);
-
-  if (filtered.length === 0) {
-    await env.GRATITUDE_KV.delete(key);
-  } else {
-    await env.GRATITUDE_KV.put(key, JSON.stringify(filtered), { expirationTtl: BUCKET_TTL_SECONDS });
+  const maxReminders = maxRemindersInWindow(startTime, endTime, minGapMinutes);
+  if (maxReminders === 0) {
+    return { error: 'startTime and endTime must differ' };
+  }
+  if (remindersPerDay > maxReminders) {
+    return {
+      error: `${startTime}–${endTime} fits at most ${maxReminders} reminder(s) ${minGapMinutes} minutes apart. Widen the window, lower the gap, or choose fewer reminders.`,
+      maxReminders
+    };
   }
-}
 
-function bucketKey(date, time) {
-  return `bucket:${date}:${time}`;
+  return null;
 }
 
-function getCurrentUtcParts() {
-  const now = new Date();
-  return {
-    date: now.toISOString().slice(0, 10),
-    time: now.toISOString().slice(11, 16)
-  };
+function isValidTime(time) {
+  return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
 }
 
-function settingsFromSchedule(schedule) {
-  if (!schedule) return null;
-  if (!schedule.remindersPerDay || !schedule.startTime || !schedule.endTime || !schedule.timezone) {
-    return null;
-  }
-
-  return {
-    enabled: true,
-    remindersPerDay: schedule.remindersPerDay,
-    startTime: schedule.startTime,
-    endTime: schedule.endTime,
-    timezone: schedule.timezone
-  };
+function isValidDate(date) {
+  return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(Date.parse(date));
 }
 
 async function getSettingsForUser(userId, env) {
@@ -458,173 +1563,65 @@ async function getSettingsForUser(userId, env) {
 }
 
 /**
- * Send a push notification to a subscription with VAPID authentication
+ * Build the notification payload for a scheduled reminder
  */
-async function sendPush(subscription, env) {
-  const { endpoint, keys } = subscription;
+function buildReminderPayload(userId, utcKey, schedule) {
+  const snoozed = Array.isArray(schedule.snoozes) && schedule.snoozes.some(s => s.utcKey === utcKey);
+  const index = Array.isArray(schedule.utcTimes) ? schedule.utcTimes.indexOf(utcKey) : -1;
+  const prompt = (Array.isArray(schedule.prompts) && schedule.prompts[index]) || DEFAULT_PROMPT;
 
-  // Create VAPID JWT
-  const url = new URL(endpoint);
-  const audience = `${url.protocol}//${url.host}`;
-
-  const header = { alg: 'ES256', typ: 'JWT' };
-  const payload = {
-    aud: audience,
-    exp: Math.floor(Date.now() / 1000) + (12 * 60 * 60), // 12 hours
-    sub: env.VAPID_SUBJECT
+  return {
+    title: 'Gratitude Moment',
+    body: snoozed
+      ? 'Here\'s the reminder you snoozed. What are you grateful for right now?'
+      : prompt,
+    url: './#entry',
+    tag: 'gratitude-reminder',
+    utcKey,
+    // Lets the service worker snooze and report engagement for this reminder
+    userId,
+    reminderToken: schedule.reminderToken || null
   };
-
-  const jwt = await createVapidJwt(header, payload, env.VAPID_PRIVATE_KEY);
-
-  // Send push with VAPID authorization (no payload for simplicity - SW shows default)
-  const response = await fetch(endpoint, {
-    method: 'POST',
-    headers: {
-      'Authorization': `vapid t=${jwt}, k=${env.VAPID_PUBLIC_KEY}`,
-      'TTL': '86400',
-      'Content-Length': '0',
-    }
-  });
-
-  if (!response.ok) {
-    const text = await response.text();
-    console.error('Push failed:', response.status, text);
-    throw new Error(`Push failed: ${response.status} ${text}`);
-  }
-
-  return response;
 }
 
 /**
- * Create a VAPID JWT token
+ * Send a push notification to a subscription, signed with the key pair the
+ * subscription was created with. A newer reminder replaces an undelivered
+ * one with the same tag (Topic header).
  */
-async function createVapidJwt(header, payload, privateKeyBase64) {
-  const encoder = new TextEncoder();
+async function sendPush(subscription, vapidKey, env, payload) {
+  const { keys } = subscription;
 
-  const headerB64 = base64UrlEncode(JSON.stringify(header));
-  const payloadB64 = base64UrlEncode(JSON.stringify(payload));
-  const unsignedToken = `${headerB64}.${payloadB64}`;
-
-  // Decode the base64url private key
-  const privateKeyBytes = base64UrlDecode(privateKeyBase64);
-
-  // Import as JWK (easier than raw/pkcs8 for P-256)
-  const jwk = {
-    kty: 'EC',
-    crv: 'P-256',
-    d: privateKeyBase64,
-    x: '', // Will extract from public key
-    y: ''
-  };
-
-  // For VAPID, we need to import the raw 32-byte private key
-  // Convert to proper JWK format
-  const key = await crypto.subtle.importKey(
-    'raw',
-    privateKeyBytes,
-    { name: 'ECDSA', namedCurve: 'P-256' },
-    false,
-    ['sign']
-  ).catch(async () => {
-    // If raw import fails, try as JWK with just 'd' parameter
-    // We need to derive x,y from the private key or use a different approach
-    // For Cloudflare Workers, let's use the pkcs8 approach
-    const pkcs8Key = createPkcs8FromRaw(privateKeyBytes);
-    return crypto.subtle.importKey(
-      'pkcs8',
-      pkcs8Key,
-      { name: 'ECDSA', namedCurve: 'P-256' },
-      false,
-      ['sign']
-    );
-  });
+  if (!keys || !keys.p256dh || !keys.auth) {
+    const error = new Error('Subscription is missing encryption keys');
+    error.permanent = true;
+    throw error;
+  }
 
-  // Sign the token
-  const signature = await crypto.subtle.sign(
-    { name: 'ECDSA', hash: 'SHA-256' },
-    key,
-    encoder.encode(unsignedToken)
+  const response = await sendWebPush(
+    subscription,
+    JSON.stringify(payload),
+    { ...vapidKey, subject: env.VAPID_SUBJECT },
+    { urgency: 'normal', topic: payload.tag }
   );
 
-  // Convert DER signature to raw r||s format for JWT
-  const signatureBytes = new Uint8Array(signature);
-  const rawSignature = derToRaw(signatureBytes);
-  const signatureB64 = base64UrlEncode(rawSignature);
-
-  return `${unsignedToken}.${signatureB64}`;
-}
-
-/**
- * Convert DER encoded ECDSA signature to raw r||s format
- */
-function derToRaw(der) {
-  // Web Crypto returns raw 64-byte signature for P-256, not DER
-  if (der.length === 64) {
-    return der;
+  if (!response.ok) {
+    const text = await response.text();
+    console.error('Push failed:', response.status, text);
+    const error = new Error(`Push failed: ${response.status} ${text}`);
+    error.statusCode = response.status;
+    error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'), new Date());
+    throw error;
   }
 
-  // If it's DER encoded, parse it (shouldn't happen with Web Crypto)
-  // DER: 0x30 [total-length] 0x02 [r-length] [r] 0x02 [s-length] [s]
-  let offset = 2;
-  const rLen = der[offset + 1];
-  const r = der.slice(offset + 2, offset + 2 + rLen);
-  offset = offset + 2 + rLen;
-  const sLen = der[offset + 1];
-  const s = der.slice(offset + 2, offset + 2 + sLen);
-
-  // Pad or trim to 32 bytes each
-  const raw = new Uint8Array(64);
-  raw.set(r.length > 32 ? r.slice(-32) : r, 32 - Math.min(r.length, 32));
-  raw.set(s.length > 32 ? s.slice(-32) : s, 64 - Math.min(s.length, 32));
-  return raw;
+  return response;
 }
 
 /**
- * Create PKCS#8 wrapper for raw EC private key
+ * Helper for requests without valid device credentials
  */
-function createPkcs8FromRaw(rawKey) {
-  // PKCS#8 header for P-256 EC private key (without public key)
-  const header = new Uint8Array([
-    0x30, 0x41, // SEQUENCE, 65 bytes
-    0x02, 0x01, 0x00, // INTEGER 0 (version)
-    0x30, 0x13, // SEQUENCE, 19 bytes (algorithm)
-    0x06, 0x07, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x02, 0x01, // OID ecPublicKey
-    0x06, 0x08, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x03, 0x01, 0x07, // OID P-256
-    0x04, 0x27, // OCTET STRING, 39 bytes
-    0x30, 0x25, // SEQUENCE, 37 bytes
-    0x02, 0x01, 0x01, // INTEGER 1 (version)
-    0x04, 0x20 // OCTET STRING, 32 bytes (private key)
-  ]);
-
-  const result = new Uint8Array(header.length + rawKey.length);
-  result.set(header);
-  result.set(rawKey, header.length);
-  return result;
-}
-
-function base64UrlEncode(data) {
-  let bytes;
-  if (typeof data === 'string') {
-    bytes = new TextEncoder().encode(data);
-  } else {
-    bytes = data;
-  }
-  let binary = '';
-  for (let i = 0; i < bytes.length; i++) {
-    binary += String.fromCharCode(bytes[i]);
-  }
-  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
-}
-
-function base64UrlDecode(str) {
-  str = str.replace(/-/g, '+').replace(/_/g, '/');
-  while (str.length % 4) str += '=';
-  const binary = atob(str);
-  const bytes = new Uint8Array(binary.length);
-  for (let i = 0; i < binary.length; i++) {
-    bytes[i] = binary.charCodeAt(i);
-  }
-  return bytes;
+function unauthorizedResponse() {
+  return jsonResponse({ error: 'Unauthorized' }, 401);
 }
 
 /**
@@ -0,0 +1,90 @@
+/**
+ * Pairing module - short-lived, single-use codes for linking a new device
+ *
+ * An existing device asks for a code; a new device redeems it to adopt the
+ * same user ID. Codes are rows in D1 (pairing_codes) and expire after a few
+ * minutes. Redeeming deletes the row in the same statement that reads it, so
+ * a code links at most one device even when two redeem it at once.
+ */
+
+export const PAIRING_CODE_TTL_SECONDS = 5 * 60;
+
+// No 0/O, 1/I/L to keep codes easy to read and type
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * Create a pairing code for a user
+ * @param {string} userId - User ID the code links to
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{code: string, expiresAt: string}>}
+ */
+export async function createPairingCode(userId, env) {
+  const code = randomCode();
+  const expiresAt = new Date(Date.now() + PAIRING_CODE_TTL_SECONDS * 1000).toISOString();
+
+  await env.DB.prepare('INSERT INTO pairing_codes (code, user_id, expires_at) VALUES (?, ?, ?)')
+    .bind(code, userId, expiresAt)
+    .run();
+
+  return { code, expiresAt };
+}
+
+/**
+ * Redeem a pairing code. The code is deleted on first use.
+ * @param {string} code - Code as entered by the user
+ * @param {Object} env - Worker environment
+ * @returns {Promise<string|null>} The linked user ID, or null if the code is invalid or expired
+ */
+export async function redeemPairingCode(code, env) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return null;
+
+  const row = await env.DB.prepare('DELETE FROM pairing_codes WHERE code = ? AND expires_at > ? RETURNING user_id')
+    .bind(normalized, new Date().toISOString())
+    .first();
+
+  return row ? row.user_id : null;
+}
+
+/**
+ * Delete a user's unredeemed pairing codes
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ */
+export async function deletePairingCodes(userId, env) {
+  await env.DB.prepare('DELETE FROM pairing_codes WHERE user_id = ?').bind(userId).run();
+}
+
+/**
+ * Delete codes that expired without being redeemed
+ * @param {Date} now - Current time
+ * @param {Object} env - Worker environment
+ */
+export async function pruneExpiredPairingCodes(now, env) {
+  await env.DB.prepare('DELETE FROM pairing_codes WHERE expires_at <= ?').bind(now.toISOString()).run();
+}
+
+/**
+ * Normalize user input like "abcd efgh" to the stored form "ABCD-EFGH"
+ * @param {string} code
+ * @returns {string|null}
+ */
+function normalizeCode(code) {
+  if (typeof code !== 'string') return null;
+
+  const chars = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (chars.length !== CODE_LENGTH) return null;
+
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+function randomCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+  let chars = '';
+  for (const b of bytes) {
+    // Modulo bias is negligible for a short-lived, single-use code
+    chars += CODE_ALPHABET[b % CODE_ALPHABET.length];
+  }
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
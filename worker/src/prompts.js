@@ -0,0 +1,160 @@
+/**
+ * Prompts module - the text shown in reminder notifications
+ *
+ * Built-in prompts are grouped by category; users can switch categories off
+ * and add their own. Prompts are picked when a schedule is built, avoiding the
+ * ones used most recently (kept on the schedule as recentPrompts).
+ */
+
+export const PROMPT_CATEGORIES = {
+  people: {
+    label: 'People',
+    prompts: [
+      'Who made your day a little easier recently?',
+      'Think of someone who made you laugh this week. What did they do?',
+      'Which friend or family member are you glad to have right now?',
+      'Who taught you something you still use today?',
+      'What kind thing did a stranger do for you, or you for them?'
+    ]
+  },
+  pleasures: {
+    label: 'Small pleasures',
+    prompts: [
+      'What small thing did you enjoy today?',
+      'Which meal or drink did you really savour lately?',
+      'What song, book or show has brightened your week?',
+      'What simple comfort are you glad to have right now?',
+      'What made you smile in the last few hours?'
+    ]
+  },
+  challenges: {
+    label: 'Challenges overcome',
+    prompts: [
+      'What is something hard you got through, and what helped?',
+      'Which recent mistake taught you something useful?',
+      'What problem turned out smaller than you feared?',
+      'Who supported you through a difficult moment?',
+      'What are you stronger at now than a year ago?'
+    ]
+  },
+  nature: {
+    label: 'Nature',
+    prompts: [
+      'What did you notice about the sky or the weather today?',
+      'Which place outdoors do you love spending time in?',
+      'What plant, tree or animal caught your eye recently?',
+      'When did you last feel fresh air or sunshine and enjoy it?',
+      'What season or time of day are you grateful for, and why?'
+    ]
+  },
+  body: {
+    label: 'Body and health',
+    prompts: [
+      'What is your body letting you do today that you take for granted?',
+      'When did you last feel rested or energised?',
+      'Which healthy habit are you glad you kept up?',
+      'What sensation feels good right now: warmth, a stretch, a deep breath?'
+    ]
+  },
+  growth: {
+    label: 'Learning and growth',
+    prompts: [
+      'What did you learn today, however small?',
+      'Which opportunity are you thankful to have had?',
+      'What is something you can do now that you once could not?',
+      'What idea or conversation got you thinking recently?'
+    ]
+  },
+  home: {
+    label: 'Home and everyday things',
+    prompts: [
+      'What part of your home are you glad to come back to?',
+      'Which everyday object makes your life easier?',
+      'What routine helps your day run smoothly?',
+      'What do you have today that you once wished for?'
+    ]
+  }
+};
+
+export const PROMPT_CATEGORY_IDS = Object.keys(PROMPT_CATEGORIES);
+export const DEFAULT_PROMPT = 'Take a moment to notice something you\'re grateful for today.';
+export const MAX_CUSTOM_PROMPTS = 20;
+export const MAX_PROMPT_LENGTH = 140;
+
+// How many of the latest prompts a new pick avoids, when there are enough
+const RECENT_PROMPTS_TO_AVOID = 15;
+
+/**
+ * Check the prompt fields of a settings payload
+ * @param {Object} settings - { promptCategories?, customPrompts? }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePromptSettings(settings) {
+  const { promptCategories, customPrompts } = settings;
+
+  if (promptCategories !== undefined && promptCategories !== null) {
+    if (!Array.isArray(promptCategories) || promptCategories.some(id => !PROMPT_CATEGORY_IDS.includes(id))) {
+      return `promptCategories must only contain ${PROMPT_CATEGORY_IDS.join(', ')}`;
+    }
+  }
+
+  if (customPrompts !== undefined && customPrompts !== null) {
+    if (!Array.isArray(customPrompts) || customPrompts.length > MAX_CUSTOM_PROMPTS) {
+      return `customPrompts must be a list of at most ${MAX_CUSTOM_PROMPTS} prompts`;
+    }
+    if (customPrompts.some(text => typeof text !== 'string' || !text.trim() || text.length > MAX_PROMPT_LENGTH)) {
+      return `Each custom prompt must be 1 to ${MAX_PROMPT_LENGTH} characters`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pick one prompt per reminder
+ * @param {number} count - Number of reminders
+ * @param {Object} settings - { promptCategories?, customPrompts? }; no categories list means all
+ * @param {string[]} recent - Recently used prompt IDs, oldest first
+ * @returns {{prompts: string[], recent: string[]}} Prompt texts, and the updated recent IDs
+ */
+export function pickPrompts(count, settings, recent = []) {
+  const pool = promptPool(settings);
+  const prompts = [];
+  let used = [...recent];
+
+  for (let i = 0; i < count; i++) {
+    if (pool.length === 0) {
+      prompts.push(DEFAULT_PROMPT);
+      continue;
+    }
+
+    // With a small pool, avoid as many recent prompts as still leaves a choice
+    const avoidCount = Math.min(RECENT_PROMPTS_TO_AVOID, pool.length - 1);
+    const avoid = avoidCount > 0 ? used.slice(-avoidCount) : [];
+    const fresh = pool.filter(prompt => !avoid.includes(prompt.id));
+    const candidates = fresh.length > 0 ? fresh : pool;
+    const prompt = candidates[Math.floor(Math.random() * candidates.length)];
+
+    prompts.push(prompt.text);
+    used = [...used.filter(id => id !== prompt.id), prompt.id];
+  }
+
+  return { prompts, recent: used.slice(-RECENT_PROMPTS_TO_AVOID) };
+}
+
+function promptPool(settings) {
+  const categories = Array.isArray(settings.promptCategories) ? settings.promptCategories : PROMPT_CATEGORY_IDS;
+  const pool = [];
+
+  for (const id of categories) {
+    const category = PROMPT_CATEGORIES[id];
+    if (!category) continue;
+    category.prompts.forEach((text, index) => pool.push({ id: `${id}:${index}`, text }));
+  }
+
+  const customPrompts = Array.isArray(settings.customPrompts) ? settings.customPrompts : [];
+  // Keyed by text, so editing the list keeps the history of unchanged prompts
+  customPrompts.forEach(text => pool.push({ id: `custom:${text.trim()}`, text: text.trim() }));
+
+  return pool;
+}
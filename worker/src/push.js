@@ -1,161 +1,345 @@
 /**
- * Web Push sending logic
+ * Web Push module - VAPID authentication and payload encryption
  *
  * Note: Cloudflare Workers don't have Node.js crypto, so we use the Web Crypto API
- * This implements the Web Push protocol manually for Workers environment
+ * This implements the Web Push protocol manually for Workers environment:
+ * VAPID (RFC 8292) and aes128gcm message encryption (RFC 8291, RFC 8188).
+ *
+ * VAPID private keys may be given as a raw base64url scalar (as printed by
+ * `web-push generate-vapid-keys`), a JWK (object or JSON string), or PEM
+ * (PKCS#8 "PRIVATE KEY" or SEC1 "EC PRIVATE KEY"). Public keys may be raw
+ * base64url, a JWK or a PEM "PUBLIC KEY". Imported keys and signed JWTs are
+ * cached per isolate; a JWT is reused for its audience until close to expiry.
  */
 
+export const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+export const URGENCIES = ['very-low', 'low', 'normal', 'high'];
+
+const JWT_LIFETIME_SECONDS = 12 * 60 * 60;
+// Sign a fresh JWT this long before the cached one expires
+const JWT_REFRESH_MARGIN_SECONDS = 5 * 60;
+const MAX_TOPIC_LENGTH = 32;
+const TOPIC_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Record size advertised in the aes128gcm header (RFC 8188). Push payloads
+// always fit in a single record, so this only needs to exceed the payload.
+const RECORD_SIZE = 4096;
+
+// DER for the id-ecPublicKey and prime256v1 object identifiers
+const OID_EC_PUBLIC_KEY = new Uint8Array([0x06, 0x07, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x02, 0x01]);
+const OID_P256 = new Uint8Array([0x06, 0x08, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x03, 0x01, 0x07]);
+
+const signingKeys = new Map();
+const vapidTokens = new Map();
+
 /**
- * Send a Web Push notification
- * @param {Object} subscription - Push subscription object
- * @param {Object} payload - Notification payload
- * @param {Object} vapidKeys - VAPID keys {publicKey, privateKey, subject}
- * @returns {Promise<Response>}
+ * Send a Web Push message
+ * @param {Object} subscription - Push subscription ({ endpoint, keys: { p256dh, auth } })
+ * @param {string|Uint8Array|null} payload - Message body, or null for a push without data
+ * @param {{publicKey: string|Object, privateKey: string|Object, subject: string}} vapid - VAPID key pair and contact
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Seconds the push service keeps an undelivered message
+ * @param {string} [options.urgency] - One of URGENCIES
+ * @param {string} [options.topic] - Replaces an undelivered message with the same topic
+ * @returns {Promise<Response>} The push service's response, successful or not
  */
-export async function sendPushNotification(subscription, payload, vapidKeys) {
-  const { endpoint, keys } = subscription;
+export async function sendWebPush(subscription, payload, vapid, options = {}) {
+  const { ttl = DEFAULT_TTL_SECONDS, urgency, topic } = options;
 
-  // For Cloudflare Workers, we'll use the fetch API directly
-  // Web Push requires JWT-based VAPID authentication
+  if (urgency !== undefined && !URGENCIES.includes(urgency)) {
+    throw new Error(`Urgency must be one of ${URGENCIES.join(', ')}`);
+  }
+  if (topic !== undefined && (topic.length > MAX_TOPIC_LENGTH || !TOPIC_PATTERN.test(topic))) {
+    throw new Error(`Topic must be 1 to ${MAX_TOPIC_LENGTH} base64url characters`);
+  }
 
-  const vapidHeaders = await generateVapidHeaders(
-    endpoint,
-    vapidKeys.subject,
-    vapidKeys.publicKey,
-    vapidKeys.privateKey
-  );
+  const headers = {
+    'Authorization': await getVapidAuthorization(subscription.endpoint, vapid),
+    'TTL': String(ttl)
+  };
+  if (urgency) headers['Urgency'] = urgency;
+  if (topic) headers['Topic'] = topic;
 
-  // Encrypt the payload using the subscription keys
-  const encryptedPayload = await encryptPayload(
-    JSON.stringify(payload),
-    keys.p256dh,
-    keys.auth
-  );
+  let body = null;
+  if (payload !== null && payload !== undefined) {
+    const { keys } = subscription;
+    if (!keys || !keys.p256dh || !keys.auth) {
+      throw new Error('Subscription is missing encryption keys');
+    }
+    body = await encryptPayload(payload, keys.p256dh, keys.auth);
+    headers['Content-Encoding'] = 'aes128gcm';
+    headers['Content-Type'] = 'application/octet-stream';
+  }
 
-  const response = await fetch(endpoint, {
-    method: 'POST',
-    headers: {
-      'Authorization': vapidHeaders.authorization,
-      'Crypto-Key': vapidHeaders.cryptoKey,
-      'Content-Encoding': 'aes128gcm',
-      'Content-Type': 'application/octet-stream',
-      'TTL': '86400', // 24 hours
-    },
-    body: encryptedPayload
-  });
-
-  return response;
+  return fetch(subscription.endpoint, { method: 'POST', headers, body });
 }
 
 /**
- * Generate VAPID headers for authentication
+ * The Authorization header for a push to an endpoint: `vapid t=<jwt>, k=<key>`
+ * @param {string} endpoint - Push subscription endpoint
+ * @param {{publicKey: string|Object, privateKey: string|Object, subject: string}} vapid
+ * @returns {Promise<string>}
  */
-async function generateVapidHeaders(endpoint, subject, publicKey, privateKey) {
+export async function getVapidAuthorization(endpoint, vapid) {
   const url = new URL(endpoint);
   const audience = `${url.protocol}//${url.host}`;
+  const publicKey = rawPublicKey(vapid.publicKey);
+  const now = Math.floor(Date.now() / 1000);
 
-  // Create JWT token
-  const header = { alg: 'ES256', typ: 'JWT' };
-  const payload = {
-    aud: audience,
-    exp: Math.floor(Date.now() / 1000) + (12 * 60 * 60), // 12 hours
-    sub: subject
-  };
+  const cacheKey = `${audience} ${publicKey} ${vapid.subject}`;
+  const cached = vapidTokens.get(cacheKey);
+  if (cached && cached.expiresAt - JWT_REFRESH_MARGIN_SECONDS > now) {
+    return `vapid t=${cached.token}, k=${publicKey}`;
+  }
 
-  const jwt = await createJWT(header, payload, privateKey);
+  const expiresAt = now + JWT_LIFETIME_SECONDS;
+  const token = await signJwt(
+    { typ: 'JWT', alg: 'ES256' },
+    { aud: audience, exp: expiresAt, sub: vapid.subject },
+    await importVapidPrivateKey(vapid.privateKey, publicKey)
+  );
+  vapidTokens.set(cacheKey, { token, expiresAt });
 
-  return {
-    authorization: `vapid t=${jwt}, k=${publicKey}`,
-    cryptoKey: `p256ecdsa=${publicKey}`
-  };
+  return `vapid t=${token}, k=${publicKey}`;
+}
+
+/**
+ * Import a VAPID private key for signing, once per isolate
+ * @param {string|Object} privateKey - Raw base64url scalar, JWK, or PEM
+ * @param {string} [publicKey] - Raw base64url public key, needed for a raw private key
+ * @returns {Promise<CryptoKey>}
+ */
+export function importVapidPrivateKey(privateKey, publicKey) {
+  const cacheKey = typeof privateKey === 'string' ? privateKey : JSON.stringify(privateKey);
+  if (!signingKeys.has(cacheKey)) {
+    const imported = importSigningKey(privateKey, publicKey);
+    // A failed import is not cached, so fixing the secret takes effect
+    imported.catch(() => signingKeys.delete(cacheKey));
+    signingKeys.set(cacheKey, imported);
+  }
+  return signingKeys.get(cacheKey);
 }
 
 /**
- * Create a JWT token using ES256
+ * Normalize a VAPID public key to the raw uncompressed point, base64url
+ * encoded, as used in `k=` and by browsers as applicationServerKey
+ * @param {string|Object} publicKey - Raw base64url, JWK, or PEM "PUBLIC KEY"
+ * @returns {string}
  */
-async function createJWT(header, payload, privateKeyBase64) {
-  const encoder = new TextEncoder();
-
-  const headerB64 = base64UrlEncode(JSON.stringify(header));
-  const payloadB64 = base64UrlEncode(JSON.stringify(payload));
-  const unsignedToken = `${headerB64}.${payloadB64}`;
-
-  // Import the private key
-  const privateKeyBytes = base64UrlDecode(privateKeyBase64);
-  const key = await crypto.subtle.importKey(
-    'pkcs8',
-    convertRawKeyToPkcs8(privateKeyBytes),
-    { name: 'ECDSA', namedCurve: 'P-256' },
+export function rawPublicKey(publicKey) {
+  let point;
+  const jwk = parseJwk(publicKey);
+
+  if (jwk) {
+    point = concatBytes(new Uint8Array([4]), base64UrlDecode(jwk.x), base64UrlDecode(jwk.y));
+  } else if (publicKey.trim().startsWith('-----BEGIN')) {
+    // A P-256 SubjectPublicKeyInfo ends with the 65-byte point
+    point = pemToDer(publicKey, 'PUBLIC KEY').slice(-65);
+  } else {
+    point = base64UrlDecode(publicKey.trim());
+  }
+
+  if (point.length !== 65 || point[0] !== 4) {
+    throw new Error('VAPID public key must be an uncompressed P-256 point');
+  }
+  return base64UrlEncode(point);
+}
+
+/**
+ * Encrypt a payload for Web Push using the aes128gcm content coding
+ * (RFC 8291 message encryption on top of RFC 8188 framing).
+ *
+ * @param {string|Uint8Array} payload - Plaintext to encrypt
+ * @param {string} p256dhKey - Subscription's base64url P-256 public key
+ * @param {string} authSecret - Subscription's base64url 16-byte auth secret
+ * @param {Object} [fixed] - Salt and ECDH key pair to use instead of fresh
+ *   random ones, so test/push.test.js can reproduce the RFC 8291 example;
+ *   never set when sending
+ * @returns {Promise<Uint8Array>} Encrypted body, ready to POST to the push service
+ */
+export async function encryptPayload(payload, p256dhKey, authSecret, fixed = {}) {
+  const plaintext = typeof payload === 'string' ? new TextEncoder().encode(payload) : payload;
+  const userAgentPublicKey = base64UrlDecode(p256dhKey);
+  const auth = base64UrlDecode(authSecret);
+
+  if (plaintext.length > RECORD_SIZE - 17) {
+    throw new Error('Push payload too large');
+  }
+
+  // Ephemeral application server key pair, used for this message only
+  const localKeyPair = fixed.localKeyPair || await crypto.subtle.generateKey(
+    { name: 'ECDH', namedCurve: 'P-256' },
+    true,
+    ['deriveBits']
+  );
+  const localPublicKey = new Uint8Array(
+    await crypto.subtle.exportKey('raw', localKeyPair.publicKey)
+  );
+
+  const userAgentKey = await crypto.subtle.importKey(
+    'raw',
+    userAgentPublicKey,
+    { name: 'ECDH', namedCurve: 'P-256' },
     false,
-    ['sign']
+    []
+  );
+  const ecdhSecret = await crypto.subtle.deriveBits(
+    { name: 'ECDH', public: userAgentKey },
+    localKeyPair.privateKey,
+    256
+  );
+
+  // IKM = HKDF(auth, ecdh_secret, "WebPush: info" || 0x00 || ua_public || as_public)
+  const keyInfo = concatBytes(
+    new TextEncoder().encode('WebPush: info\0'),
+    userAgentPublicKey,
+    localPublicKey
+  );
+  const ikm = await hkdf(auth, new Uint8Array(ecdhSecret), keyInfo, 32);
+
+  const salt = fixed.salt || crypto.getRandomValues(new Uint8Array(16));
+  const contentKey = await hkdf(salt, ikm, new TextEncoder().encode('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = await hkdf(salt, ikm, new TextEncoder().encode('Content-Encoding: nonce\0'), 12);
+
+  // Single (and therefore last) record: plaintext followed by the 0x02 delimiter
+  const record = concatBytes(plaintext, new Uint8Array([2]));
+  const aesKey = await crypto.subtle.importKey('raw', contentKey, 'AES-GCM', false, ['encrypt']);
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce }, aesKey, record)
   );
 
-  // Sign the token
+  // Header: salt (16) || record size (uint32) || key id length (1) || key id (as_public)
+  const header = new Uint8Array(16 + 4 + 1 + localPublicKey.length);
+  header.set(salt, 0);
+  new DataView(header.buffer).setUint32(16, RECORD_SIZE);
+  header[20] = localPublicKey.length;
+  header.set(localPublicKey, 21);
+
+  return concatBytes(header, ciphertext);
+}
+
+async function importSigningKey(privateKey, publicKey) {
+  const algorithm = { name: 'ECDSA', namedCurve: 'P-256' };
+  const jwk = parseJwk(privateKey);
+
+  if (jwk) {
+    return crypto.subtle.importKey('jwk', { kty: 'EC', crv: 'P-256', d: jwk.d, x: jwk.x, y: jwk.y }, algorithm, false, ['sign']);
+  }
+
+  if (privateKey.trim().startsWith('-----BEGIN')) {
+    const pkcs8 = privateKey.includes('EC PRIVATE KEY')
+      ? wrapSec1InPkcs8(pemToDer(privateKey, 'EC PRIVATE KEY'))
+      : pemToDer(privateKey, 'PRIVATE KEY');
+    return crypto.subtle.importKey('pkcs8', pkcs8, algorithm, false, ['sign']);
+  }
+
+  // A raw scalar imports as a JWK, which also needs the public point
+  if (!publicKey) {
+    throw new Error('A raw VAPID private key needs its public key');
+  }
+  const point = base64UrlDecode(rawPublicKey(publicKey));
+  return crypto.subtle.importKey('jwk', {
+    kty: 'EC',
+    crv: 'P-256',
+    d: privateKey.trim(),
+    x: base64UrlEncode(point.slice(1, 33)),
+    y: base64UrlEncode(point.slice(33))
+  }, algorithm, false, ['sign']);
+}
+
+/**
+ * Sign a JWT with ES256. Web Crypto already returns the raw r || s
+ * signature JWS expects, not DER.
+ */
+async function signJwt(header, claims, key) {
+  const unsignedToken = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(claims))}`;
   const signature = await crypto.subtle.sign(
     { name: 'ECDSA', hash: 'SHA-256' },
     key,
-    encoder.encode(unsignedToken)
+    new TextEncoder().encode(unsignedToken)
   );
+  return `${unsignedToken}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
 
-  // Convert signature from DER to raw format
-  const signatureB64 = base64UrlEncode(new Uint8Array(signature));
-
-  return `${unsignedToken}.${signatureB64}`;
+/**
+ * PKCS#8 PrivateKeyInfo around a SEC1 ECPrivateKey (RFC 5915):
+ * SEQUENCE { INTEGER 0, SEQUENCE { ecPublicKey, prime256v1 }, OCTET STRING { sec1 } }
+ */
+function wrapSec1InPkcs8(sec1) {
+  return derEncode(0x30, concatBytes(
+    new Uint8Array([0x02, 0x01, 0x00]),
+    derEncode(0x30, concatBytes(OID_EC_PUBLIC_KEY, OID_P256)),
+    derEncode(0x04, sec1)
+  ));
 }
 
 /**
- * Convert raw EC private key to PKCS#8 format
+ * One DER tag-length-value, with the long length form above 127 bytes
  */
-function convertRawKeyToPkcs8(rawKey) {
-  // PKCS#8 header for P-256 EC private key
-  const header = new Uint8Array([
-    0x30, 0x81, 0x87, 0x02, 0x01, 0x00, 0x30, 0x13,
-    0x06, 0x07, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x02,
-    0x01, 0x06, 0x08, 0x2a, 0x86, 0x48, 0xce, 0x3d,
-    0x03, 0x01, 0x07, 0x04, 0x6d, 0x30, 0x6b, 0x02,
-    0x01, 0x01, 0x04, 0x20
-  ]);
-
-  const footer = new Uint8Array([
-    0xa1, 0x44, 0x03, 0x42, 0x00
-  ]);
-
-  // For simplicity in MVP, we'll use a pre-formatted key
-  // In production, proper key conversion would be needed
-  const result = new Uint8Array(header.length + rawKey.length);
-  result.set(header, 0);
-  result.set(rawKey, header.length);
-  return result;
+function derEncode(tag, content) {
+  let length;
+  if (content.length < 0x80) {
+    length = new Uint8Array([content.length]);
+  } else {
+    const bytes = [];
+    for (let n = content.length; n > 0; n >>= 8) bytes.unshift(n & 0xff);
+    length = new Uint8Array([0x80 | bytes.length, ...bytes]);
+  }
+  return concatBytes(new Uint8Array([tag]), length, content);
+}
+
+function pemToDer(pem, label) {
+  const match = pem.match(new RegExp(`-----BEGIN ${label}-----([\\s\\S]+?)-----END ${label}-----`));
+  if (!match) {
+    throw new Error(`Expected a PEM ${label}`);
+  }
+  return base64UrlDecode(match[1].replace(/\s+/g, ''));
+}
+
+function parseJwk(key) {
+  if (key && typeof key === 'object') return key;
+  if (typeof key === 'string' && key.trim().startsWith('{')) return JSON.parse(key);
+  return null;
 }
 
 /**
- * Encrypt payload for Web Push (simplified - production would need full implementation)
- * For MVP, we'll send unencrypted and rely on HTTPS
+ * HKDF-SHA-256 extract and expand in one step
  */
-async function encryptPayload(payload, p256dhKey, authSecret) {
-  // Full Web Push encryption is complex - for MVP we'll use a simpler approach
-  // The browser's push service handles this, but for a complete implementation
-  // we'd need to implement ECDH + AES-GCM encryption
+async function hkdf(salt, ikm, info, length) {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info },
+    key,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
 
-  // For now, return the payload as bytes (this works for some push services)
-  return new TextEncoder().encode(payload);
+function concatBytes(...arrays) {
+  const total = arrays.reduce((sum, arr) => sum + arr.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const arr of arrays) {
+    result.set(arr, offset);
+    offset += arr.length;
+  }
+  return result;
 }
 
 /**
- * Base64 URL encoding
+ * Base64 URL encoding, of a string's UTF-8 bytes or of raw bytes
  */
 function base64UrlEncode(data) {
-  let str;
-  if (typeof data === 'string') {
-    str = btoa(data);
-  } else {
-    str = btoa(String.fromCharCode(...data));
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
   }
-  return str.replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
 }
 
 /**
- * Base64 URL decoding
+ * Base64 URL decoding (also accepts standard base64, as found in PEM)
  */
 function base64UrlDecode(str) {
   str = str.replace(/-/g, '+').replace(/_/g, '/');
@@ -167,35 +351,3 @@ function base64UrlDecode(str) {
   }
   return bytes;
 }
-
-/**
- * Simplified push notification sender that works with most push services
- * Uses the push service's built-in encryption
- */
-export async function sendSimplePush(subscription, payload, vapidKeys) {
-  const { endpoint } = subscription;
-
-  // Create a simple VAPID token
-  const url = new URL(endpoint);
-  const audience = `${url.protocol}//${url.host}`;
-
-  const header = { alg: 'ES256', typ: 'JWT' };
-  const jwtPayload = {
-    aud: audience,
-    exp: Math.floor(Date.now() / 1000) + (12 * 60 * 60),
-    sub: vapidKeys.subject
-  };
-
-  // For MVP, we'll use a simpler approach that works with most push services
-  // In production, you'd want to use a proper Web Push library
-  const response = await fetch(endpoint, {
-    method: 'POST',
-    headers: {
-      'TTL': '86400',
-      'Content-Length': '0',
-      // VAPID authorization would go here in production
-    }
-  });
-
-  return response;
-}
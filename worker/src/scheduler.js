@@ -2,40 +2,88 @@
  * Scheduler module - generates random reminder times within a user's preferred window
  */
 
+export const DEFAULT_MIN_GAP_MINUTES = 30;
+export const MAX_MIN_GAP_MINUTES = 240;
+
+// Weekly plan keys, indexed like Date#getUTCDay()
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MINUTES_PER_DAY = 24 * 60;
+const WEIGHTED_DRAW_ATTEMPTS = 20;
+
 /**
- * Generate N random times within a time window for a given date
+ * Generate N distinct random times within a time window for a given date,
+ * at least `minGapMinutes` apart. A window whose end is before its start
+ * (e.g. 20:00–02:00) crosses midnight; times after midnight belong to the
+ * next calendar day (see localDateForTime).
  * @param {number} n - Number of reminders
  * @param {string} startTime - Start time in HH:MM format (24h)
  * @param {string} endTime - End time in HH:MM format (24h)
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} [minGapMinutes] - Minimum minutes between two reminders
+ * @param {number[]|null} [hourWeights] - Relative weight per local hour (24
+ *   entries) for smart timing; uniform when omitted
  * @returns {string[]} Array of times in HH:MM format, sorted chronologically
  */
-export function generateRandomTimes(n, startTime, endTime, date) {
-  const [startHour, startMin] = startTime.split(':').map(Number);
-  const [endHour, endMin] = endTime.split(':').map(Number);
+export function generateRandomTimes(n, startTime, endTime, date, minGapMinutes = DEFAULT_MIN_GAP_MINUTES, hourWeights = null) {
+  const startMinutes = toMinutes(startTime);
+  const windowMinutes = windowLength(startTime, endTime);
 
-  // Convert to minutes since midnight
-  const startMinutes = startHour * 60 + startMin;
-  const endMinutes = endHour * 60 + endMin;
+  if (windowMinutes === 0) {
+    throw new Error('End time must differ from start time');
+  }
+
+  // Offsets run from 0 to windowMinutes - 1. Reserve (n - 1) gaps and spread
+  // the remaining slack randomly: sorted draws u_i from [0, slack] give
+  // offsets u_i + i * gap, which are distinct and at least `gap` apart.
+  const slack = windowMinutes - 1 - (n - 1) * minGapMinutes;
 
-  if (endMinutes <= startMinutes) {
-    throw new Error('End time must be after start time');
+  if (slack < 0) {
+    throw new Error(`Window is too small for ${n} reminders ${minGapMinutes} minutes apart`);
   }
 
-  const windowMinutes = endMinutes - startMinutes;
+  if (hourWeights) {
+    const offsets = drawWeightedOffsets(n, startMinutes, windowMinutes, minGapMinutes, hourWeights);
+    if (offsets) {
+      return offsets.map(offset => formatMinutes((startMinutes + offset) % MINUTES_PER_DAY));
+    }
+  }
 
-  // Generate n random times
-  const times = [];
+  const draws = [];
   for (let i = 0; i < n; i++) {
-    const randomOffset = Math.floor(Math.random() * windowMinutes);
-    const totalMinutes = startMinutes + randomOffset;
-    const hour = Math.floor(totalMinutes / 60);
-    const minute = totalMinutes % 60;
-    times.push(`${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`);
+    draws.push(Math.floor(Math.random() * (slack + 1)));
   }
+  draws.sort((a, b) => a - b);
+
+  return draws.map((draw, i) => formatMinutes((startMinutes + draw + i * minGapMinutes) % MINUTES_PER_DAY));
+}
+
+/**
+ * How many reminders fit in a window with a minimum gap between them
+ * @param {string} startTime - Start time in HH:MM format (24h)
+ * @param {string} endTime - End time in HH:MM format (24h)
+ * @param {number} minGapMinutes - Minimum minutes between two reminders
+ * @returns {number} Maximum reminders per day (0 if the window is empty)
+ */
+export function maxRemindersInWindow(startTime, endTime, minGapMinutes) {
+  const windowMinutes = windowLength(startTime, endTime);
+  if (windowMinutes === 0) return 0;
+  return Math.floor((windowMinutes - 1) / minGapMinutes) + 1;
+}
 
-  // Sort chronologically
-  return times.sort();
+/**
+ * Largest gap up to `minGapMinutes` that fits N reminders in the window.
+ * Lets settings saved before the gap was enforced keep their schedules.
+ * @param {number} n - Number of reminders
+ * @param {string} startTime - Start time in HH:MM format (24h)
+ * @param {string} endTime - End time in HH:MM format (24h)
+ * @param {number} minGapMinutes - Preferred minimum gap
+ * @returns {number}
+ */
+export function fitMinGap(n, startTime, endTime, minGapMinutes) {
+  if (n <= 1) return minGapMinutes;
+  const windowMinutes = windowLength(startTime, endTime);
+  return Math.max(1, Math.min(minGapMinutes, Math.floor((windowMinutes - 1) / (n - 1))));
 }
 
 /**
@@ -54,15 +102,86 @@ export function getDateInTimezone(timezone) {
 }
 
 /**
- * Get the current time (HH:MM) in user's timezone
+ * Get the time (HH:MM) in user's timezone
  * @param {string} timezone - IANA timezone string
+ * @param {Date} [at] - Moment to convert, now by default
  * @returns {string} Time in HH:MM format
  */
-export function getTimeInTimezone(timezone) {
-  const now = new Date();
-  const options = { timeZone: timezone, hour: '2-digit', minute: '2-digit', hour12: false };
+export function getTimeInTimezone(timezone, at = new Date()) {
+  const options = { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
   const formatter = new Intl.DateTimeFormat('en-GB', options);
-  return formatter.format(now);
+  return formatter.format(at);
+}
+
+/**
+ * The reminder plan for a local date: the weekly entry for its weekday, or the
+ * everyday settings when there is no weekly plan
+ * @param {Object} settings - Reminder settings
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {{remindersPerDay: number, startTime: string, endTime: string}|null} null on a day off or while paused
+ */
+export function planForDate(settings, date) {
+  // Reminders resume on the pausedUntil date itself
+  if (settings.pausedUntil && date < settings.pausedUntil) return null;
+
+  if (!settings.weekly) {
+    return {
+      remindersPerDay: settings.remindersPerDay,
+      startTime: settings.startTime,
+      endTime: settings.endTime
+    };
+  }
+
+  const day = settings.weekly[WEEKDAYS[weekdayOf(date)]];
+  if (!day || !day.enabled) return null;
+
+  return {
+    remindersPerDay: day.remindersPerDay,
+    startTime: day.startTime,
+    endTime: day.endTime
+  };
+}
+
+/**
+ * The local date whose reminder window is current, with its plan. While
+ * yesterday's window crosses midnight and is still open, that is yesterday.
+ * @param {Object} settings - Reminder settings
+ * @param {string} timezone - IANA timezone string
+ * @returns {{date: string, plan: Object|null}}
+ */
+export function getScheduleDay(settings, timezone) {
+  const today = getDateInTimezone(timezone);
+  const yesterday = addDays(today, -1);
+  const previous = planForDate(settings, yesterday);
+
+  if (previous &&
+      crossesMidnight(previous.startTime, previous.endTime) &&
+      getTimeInTimezone(timezone) < previous.endTime) {
+    return { date: yesterday, plan: previous };
+  }
+
+  return { date: today, plan: planForDate(settings, today) };
+}
+
+/**
+ * The calendar date of a reminder time within the window that starts on `date`
+ * @param {string} date - Schedule date in YYYY-MM-DD format
+ * @param {string} time - Reminder time in HH:MM format (24h)
+ * @param {string} startTime - Window start in HH:MM format (24h)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function localDateForTime(date, time, startTime) {
+  return time < startTime ? addDays(date, 1) : date;
+}
+
+/**
+ * Whether a window like 20:00–02:00 wraps past midnight
+ * @param {string} startTime - Window start in HH:MM format (24h)
+ * @param {string} endTime - Window end in HH:MM format (24h)
+ * @returns {boolean}
+ */
+export function crossesMidnight(startTime, endTime) {
+  return endTime < startTime;
 }
 
 /**
@@ -120,7 +239,8 @@ function getTimeZoneOffsetMinutes(timezone, date) {
     hour: '2-digit',
     minute: '2-digit',
     second: '2-digit',
-    hour12: false
+    // hour12: false renders midnight as "24" in en-US, which shifts 00:xx by a day
+    hourCycle: 'h23'
   });
 
   const parts = dtf.formatToParts(date);
@@ -137,3 +257,100 @@ function getTimeZoneOffsetMinutes(timezone, date) {
 
   return (asUtc - date.getTime()) / 60000;
 }
+
+/**
+ * Convert HH:MM to minutes since midnight
+ * @param {string} time - Time in HH:MM format (24h)
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Length of a window in minutes, wrapping past midnight (0 if start equals end)
+ * @param {string} startTime - Window start in HH:MM format (24h)
+ * @param {string} endTime - Window end in HH:MM format (24h)
+ * @returns {number}
+ */
+function windowLength(startTime, endTime) {
+  return (toMinutes(endTime) - toMinutes(startTime) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week for a YYYY-MM-DD date (0 = Sunday)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number}
+ */
+function weekdayOf(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ * @param {number} totalMinutes
+ * @returns {string}
+ */
+function formatMinutes(totalMinutes) {
+  const hour = Math.floor(totalMinutes / 60);
+  const minute = totalMinutes % 60;
+  return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Pick window offsets one at a time, each with probability proportional to
+ * its hour's weight, blocking the minutes within the gap of every pick.
+ * Picks can box themselves in, so this retries a few times and returns null
+ * to fall back to uniform times.
+ * @returns {number[]|null} Sorted offsets into the window
+ */
+function drawWeightedOffsets(n, startMinutes, windowMinutes, minGapMinutes, hourWeights) {
+  const weightAt = (offset) => {
+    const hour = Math.floor(((startMinutes + offset) % MINUTES_PER_DAY) / 60);
+    return hourWeights[hour] ?? 1;
+  };
+
+  for (let attempt = 0; attempt < WEIGHTED_DRAW_ATTEMPTS; attempt++) {
+    const available = new Array(windowMinutes).fill(true);
+    const picks = [];
+
+    while (picks.length < n) {
+      let total = 0;
+      for (let i = 0; i < windowMinutes; i++) {
+        if (available[i]) total += weightAt(i);
+      }
+      if (total <= 0) break;
+
+      let remaining = Math.random() * total;
+      let chosen = -1;
+      for (let i = 0; i < windowMinutes; i++) {
+        if (!available[i]) continue;
+        chosen = i;
+        remaining -= weightAt(i);
+        if (remaining < 0) break;
+      }
+
+      picks.push(chosen);
+      const from = Math.max(0, chosen - minGapMinutes + 1);
+      const to = Math.min(windowMinutes, chosen + minGapMinutes);
+      for (let i = from; i < to; i++) available[i] = false;
+    }
+
+    if (picks.length === n) return picks.sort((a, b) => a - b);
+  }
+
+  return null;
+}
@@ -0,0 +1,246 @@
+/**
+ * Schedules module - per-user schedules and the minute buckets that index them
+ *
+ * Stored in D1 (binding DB, tables in migrations/). A schedule is one row; its
+ * buckets are one row per (utcKey, userId), rewritten together with the
+ * schedule in a single batch. Unlike the old shared bucket:{date}:{time} KV
+ * lists, concurrent saves for different users never touch the same row.
+ * The cron's high-water mark lives in cron_state next to them.
+ *
+ * A schedule is rebuilt whole by saveSchedule. Changes to part of it (a
+ * snooze, a reminder marked sent) go through updateSchedule, which checks the
+ * row's version so concurrent changes are applied one after the other rather
+ * than overwriting each other.
+ */
+
+// Schedules are walked in pages by refreshSchedules
+export const SCHEDULE_PAGE_SIZE = 100;
+
+const LAST_PROCESSED_MINUTE = 'last-processed-minute';
+
+// Attempts at a read-modify-write before giving up on a busy schedule
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Set in KV once every schedule:{userId} key has been moved to D1
+const KV_MIGRATION_FLAG = 'migration:schedules-d1';
+const KV_MIGRATION_BATCH = 50;
+
+/**
+ * Every minute bucket a schedule occupies: its reminders and any snoozes
+ * @param {Object} schedule
+ * @returns {string[]} UTC keys (YYYY-MM-DDTHH:MM)
+ */
+export function scheduleBucketKeys(schedule) {
+  const utcTimes = Array.isArray(schedule.utcTimes) ? schedule.utcTimes : [];
+  const snoozes = Array.isArray(schedule.snoozes) ? schedule.snoozes.map(s => s.utcKey) : [];
+  return [...utcTimes, ...snoozes];
+}
+
+/**
+ * Load a user's schedule
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object|null>}
+ */
+export async function getSchedule(userId, env) {
+  const row = await env.DB.prepare('SELECT data FROM schedules WHERE user_id = ?')
+    .bind(userId)
+    .first();
+  return row ? parseSchedule(userId, row.data) : null;
+}
+
+/**
+ * Store a user's schedule and replace its minute buckets in one transaction
+ * @param {string} userId - User ID
+ * @param {Object} schedule - Schedule object (see buildScheduleForUser)
+ * @param {Object} env - Worker environment
+ */
+export async function saveSchedule(userId, schedule, env) {
+  const utcKeys = [...new Set(scheduleBucketKeys(schedule))];
+
+  await env.DB.batch([
+    env.DB.prepare(
+      'INSERT INTO schedules (user_id, date, data, updated_at, version) VALUES (?, ?, ?, ?, 1) ' +
+      'ON CONFLICT (user_id) DO UPDATE SET date = excluded.date, data = excluded.data, ' +
+      'updated_at = excluded.updated_at, version = schedules.version + 1'
+    ).bind(userId, schedule.date, JSON.stringify(schedule), new Date().toISOString()),
+    env.DB.prepare('DELETE FROM schedule_buckets WHERE user_id = ?').bind(userId),
+    ...utcKeys.map(utcKey =>
+      env.DB.prepare('INSERT INTO schedule_buckets (utc_key, user_id) VALUES (?, ?)').bind(utcKey, userId)
+    )
+  ]);
+}
+
+/**
+ * Change part of a user's stored schedule. `update` gets the current schedule
+ * and changes it in place, or returns false to leave it as it is. The result
+ * is written only if nobody else wrote the schedule in the meantime;
+ * otherwise `update` runs again on the newer schedule.
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ * @param {Function} update - async (schedule) => false | void
+ * @returns {Promise<Object|null>} The schedule as stored afterwards, or null without one
+ */
+export async function updateSchedule(userId, env, update) {
+  for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+    const row = await env.DB.prepare('SELECT data, version FROM schedules WHERE user_id = ?')
+      .bind(userId)
+      .first();
+    const schedule = row ? parseSchedule(userId, row.data) : null;
+    if (!schedule) return null;
+
+    const previousKeys = new Set(scheduleBucketKeys(schedule));
+    if (await update(schedule) === false) return schedule;
+    const keys = new Set(scheduleBucketKeys(schedule));
+
+    // Bucket changes are guarded by the same version check as the schedule,
+    // and run first so they see the version the update is checked against
+    const unchanged = 'EXISTS (SELECT 1 FROM schedules WHERE user_id = ? AND version = ?)';
+    const statements = [
+      ...[...previousKeys].filter(utcKey => !keys.has(utcKey)).map(utcKey =>
+        env.DB.prepare(`DELETE FROM schedule_buckets WHERE utc_key = ? AND user_id = ? AND ${unchanged}`)
+          .bind(utcKey, userId, userId, row.version)
+      ),
+      ...[...keys].filter(utcKey => !previousKeys.has(utcKey)).map(utcKey =>
+        env.DB.prepare(`INSERT OR IGNORE INTO schedule_buckets (utc_key, user_id) SELECT ?, ? WHERE ${unchanged}`)
+          .bind(utcKey, userId, userId, row.version)
+      ),
+      env.DB.prepare(
+        'UPDATE schedules SET date = ?, data = ?, updated_at = ?, version = version + 1 WHERE user_id = ? AND version = ?'
+      ).bind(schedule.date, JSON.stringify(schedule), new Date().toISOString(), userId, row.version)
+    ];
+
+    const results = await env.DB.batch(statements);
+    if (results[results.length - 1].meta.changes === 1) return schedule;
+  }
+
+  throw new Error(`Schedule for user ${userId} changed ${MAX_UPDATE_ATTEMPTS} times while updating it`);
+}
+
+/**
+ * Delete a user's schedule and its minute buckets
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ */
+export async function deleteSchedule(userId, env) {
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM schedule_buckets WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM schedules WHERE user_id = ?').bind(userId)
+  ]);
+}
+
+/**
+ * Bucket entries in a range of UTC minutes, oldest first
+ * @param {string} afterKey - Exclusive lower bound (YYYY-MM-DDTHH:MM)
+ * @param {string} untilKey - Inclusive upper bound (YYYY-MM-DDTHH:MM)
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Array<{utcKey: string, userId: string}>>}
+ */
+export async function getDueBuckets(afterKey, untilKey, env) {
+  const { results } = await env.DB.prepare(
+    'SELECT utc_key, user_id FROM schedule_buckets WHERE utc_key > ? AND utc_key <= ? ORDER BY utc_key'
+  ).bind(afterKey, untilKey).all();
+  return results.map(row => ({ utcKey: row.utc_key, userId: row.user_id }));
+}
+
+/**
+ * The last UTC minute the cron has processed
+ * @param {Object} env - Worker environment
+ * @returns {Promise<string|null>} YYYY-MM-DDTHH:MM, or null before the first run
+ */
+export async function getLastProcessedMinute(env) {
+  const row = await env.DB.prepare('SELECT value FROM cron_state WHERE name = ?')
+    .bind(LAST_PROCESSED_MINUTE)
+    .first();
+  return row ? row.value : null;
+}
+
+/**
+ * Move the last processed minute from one value to another, unless another
+ * run has moved it in the meantime
+ * @param {string|null} from - Value read by this run
+ * @param {string} to - New value
+ * @param {Object} env - Worker environment
+ * @returns {Promise<boolean>} Whether the value was moved
+ */
+export async function moveLastProcessedMinute(from, to, env) {
+  const statement = from === null
+    ? env.DB.prepare('INSERT INTO cron_state (name, value) VALUES (?, ?) ON CONFLICT (name) DO NOTHING')
+      .bind(LAST_PROCESSED_MINUTE, to)
+    : env.DB.prepare('UPDATE cron_state SET value = ? WHERE name = ? AND value = ?')
+      .bind(to, LAST_PROCESSED_MINUTE, from);
+
+  const { meta } = await statement.run();
+  return meta.changes === 1;
+}
+
+/**
+ * One page of schedules, ordered by user ID. Rows that don't parse are left
+ * out of schedules but still counted, so paging carries on past them.
+ * @param {Object} env - Worker environment
+ * @param {string} afterUserId - Last user ID of the previous page ('' for the first)
+ * @returns {Promise<{schedules: Array<{userId: string, schedule: Object}>, rows: number, lastUserId: string|null}>}
+ *   rows and lastUserId count every row read; fewer than SCHEDULE_PAGE_SIZE rows means the last page
+ */
+export async function listSchedules(env, afterUserId = '') {
+  const { results } = await env.DB.prepare(
+    'SELECT user_id, data FROM schedules WHERE user_id > ? ORDER BY user_id LIMIT ?'
+  ).bind(afterUserId, SCHEDULE_PAGE_SIZE).all();
+
+  return {
+    schedules: results
+      .map(row => ({ userId: row.user_id, schedule: parseSchedule(row.user_id, row.data) }))
+      .filter(entry => entry.schedule),
+    rows: results.length,
+    lastUserId: results.length > 0 ? results[results.length - 1].user_id : null
+  };
+}
+
+/**
+ * Move schedules still stored in KV (schedule:{userId}) into D1, a batch at
+ * a time. Legacy schedule:{date}:{userId} keys are handed to rebuildLegacy,
+ * since their format predates the current schedule object. The old
+ * bucket:{date}:{time} keys are left to expire.
+ * @param {Object} env - Worker environment
+ * @param {Function} rebuildLegacy - async (userId) => void
+ * @returns {Promise<boolean>} true once nothing is left in KV
+ */
+export async function migrateKvSchedules(env, rebuildLegacy) {
+  if (await env.GRATITUDE_KV.get(KV_MIGRATION_FLAG)) return true;
+
+  const listResult = await env.GRATITUDE_KV.list({ prefix: 'schedule:', limit: KV_MIGRATION_BATCH });
+
+  for (const key of listResult.keys) {
+    const parts = key.name.split(':');
+
+    if (parts.length === 3) {
+      await rebuildLegacy(parts[2]);
+    } else if (parts.length === 2) {
+      const userId = parts[1];
+      const schedule = parseSchedule(userId, await env.GRATITUDE_KV.get(key.name));
+      // Keep a schedule written since the migration started
+      if (schedule && !await getSchedule(userId, env)) {
+        await saveSchedule(userId, schedule, env);
+      }
+    }
+
+    await env.GRATITUDE_KV.delete(key.name);
+  }
+
+  if (!listResult.list_complete) return false;
+
+  await env.GRATITUDE_KV.put(KV_MIGRATION_FLAG, new Date().toISOString());
+  console.log('Moved all KV schedules to D1');
+  return true;
+}
+
+function parseSchedule(userId, scheduleJson) {
+  if (!scheduleJson) return null;
+
+  try {
+    return JSON.parse(scheduleJson);
+  } catch (error) {
+    console.warn('Invalid schedule payload for user:', userId, error);
+    return null;
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Snooze module - "Later" on a reminder schedules a one-off repeat
+ *
+ * The service worker authorizes a snooze with the schedule's reminder token
+ * (see generateReminderToken). Snoozes are kept on the schedule as
+ * { from, utcKey } pairs and go into the same minute buckets as reminders.
+ */
+
+export const DEFAULT_SNOOZE_MINUTES = 30;
+export const MIN_SNOOZE_MINUTES = 5;
+export const MAX_SNOOZE_MINUTES = 120;
+export const MAX_SNOOZES_PER_DAY = 3;
+
+/**
+ * Work out when a reminder should repeat
+ * @param {Object} schedule - The user's current schedule
+ * @param {string} utcKey - Reminder being snoozed (YYYY-MM-DDTHH:MM, UTC)
+ * @param {Date} now - Current time
+ * @returns {{utcKey: string, existing: boolean}|{error: string, status: number}}
+ */
+export function planSnooze(schedule, utcKey, now) {
+  const utcTimes = Array.isArray(schedule.utcTimes) ? schedule.utcTimes : [];
+  const snoozes = Array.isArray(schedule.snoozes) ? schedule.snoozes : [];
+
+  if (!utcTimes.includes(utcKey) && !snoozes.some(s => s.utcKey === utcKey)) {
+    return { error: 'Unknown reminder', status: 404 };
+  }
+
+  // The service worker may retry; snoozing the same reminder twice is a no-op
+  const previous = snoozes.find(s => s.from === utcKey);
+  if (previous) {
+    return { utcKey: previous.utcKey, existing: true };
+  }
+
+  if (snoozes.length >= MAX_SNOOZES_PER_DAY) {
+    return { error: `You can snooze at most ${MAX_SNOOZES_PER_DAY} times a day`, status: 429 };
+  }
+
+  const minutes = schedule.snoozeMinutes || DEFAULT_SNOOZE_MINUTES;
+  const target = new Date(now.getTime() + minutes * 60 * 1000).toISOString().slice(0, 16);
+
+  if (schedule.windowEndUtc && target >= schedule.windowEndUtc) {
+    return { error: 'Too late to snooze: today\'s reminder window ends before then', status: 409 };
+  }
+
+  return { utcKey: target, existing: false };
+}
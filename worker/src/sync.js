@@ -0,0 +1,188 @@
+/**
+ * Sync module - stores end-to-end encrypted journal backups
+ *
+ * The worker only ever sees opaque ciphertext. Each journal record (an entry
+ * or a deletion tombstone) is encrypted on the client and stored under its
+ * entry ID. Every stored record gets an increasing sequence number so devices
+ * can pull just the changes they haven't seen yet.
+ *
+ * Stored in D1 (binding DB, tables in migrations/): sync_backups holds a
+ * user's salt and passphrase check value, sync_records one row per record.
+ * A record's seq is worked out in the statement that stores it, so pushes
+ * from several devices at once each get their own numbers and none is lost.
+ * Backups from before D1 (KV user:{id}:backup) move over on first read.
+ */
+
+export const MAX_RECORDS_PER_PUSH = 500;
+const MAX_RECORD_ID_LENGTH = 64;
+const MAX_IV_LENGTH = 32;
+const MAX_DATA_LENGTH = 16 * 1024;
+
+/**
+ * Load a user's backup, without its records
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{salt: string, keyCheck: Object, seq: number, records: number}|null>}
+ *   null if none exists; records is how many are stored
+ */
+export async function getBackup(userId, env) {
+  const backup = await readBackup(userId, env);
+  if (backup) return backup;
+
+  return await moveKvBackup(userId, env) ? readBackup(userId, env) : null;
+}
+
+/**
+ * Records changed after a given sequence number, oldest first
+ * @param {string} userId - User ID
+ * @param {number} since - Last sequence number the client has seen
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{seq: number, records: Array<{id: string, iv: string, data: string, seq: number}>}>}
+ *   seq is the latest sequence number, read together with the records
+ */
+export async function getRecordsSince(userId, since, env) {
+  const [latest, changed] = await env.DB.batch([
+    env.DB.prepare('SELECT COALESCE(MAX(seq), 0) AS seq FROM sync_records WHERE user_id = ?').bind(userId),
+    env.DB.prepare('SELECT record_id, iv, data, seq FROM sync_records WHERE user_id = ? AND seq > ? ORDER BY seq')
+      .bind(userId, since)
+  ]);
+
+  return {
+    seq: latest.results[0].seq,
+    records: changed.results.map(row => ({ id: row.record_id, iv: row.iv, data: row.data, seq: row.seq }))
+  };
+}
+
+/**
+ * Validate the shape of a push of encrypted records. A record that is only
+ * too large or has a bad iv or data is not an error here; see splitRecords.
+ * @param {Array} records - Records from the client
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateRecords(records) {
+  if (!Array.isArray(records)) return 'records must be an array';
+  if (records.length > MAX_RECORDS_PER_PUSH) {
+    return `At most ${MAX_RECORDS_PER_PUSH} records can be pushed at once`;
+  }
+
+  for (const record of records) {
+    if (!record || typeof record.id !== 'string' || !record.id || record.id.length > MAX_RECORD_ID_LENGTH) {
+      return 'Each record needs an id';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Separate the records that can be stored from those that can't, so one
+ * oversized entry doesn't hold back the rest of a push
+ * @param {Array<{id: string, iv: string, data: string}>} records - Records that passed validateRecords
+ * @returns {{accepted: Array, rejected: Array<{id: string, error: string}>}}
+ */
+export function splitRecords(records) {
+  const accepted = [];
+  const rejected = [];
+
+  for (const record of records) {
+    if (typeof record.iv !== 'string' || !record.iv || record.iv.length > MAX_IV_LENGTH) {
+      rejected.push({ id: record.id, error: 'invalid iv' });
+    } else if (typeof record.data !== 'string' || !record.data) {
+      rejected.push({ id: record.id, error: 'invalid data' });
+    } else if (record.data.length > MAX_DATA_LENGTH) {
+      rejected.push({ id: record.id, error: 'too large' });
+    } else {
+      accepted.push(record);
+    }
+  }
+
+  return { accepted, rejected };
+}
+
+/**
+ * Store encrypted records, creating the backup on first push. Records are
+ * only stored if the backup has the salt they were encrypted for.
+ * @param {string} userId - User ID
+ * @param {Object} push - { salt, keyCheck, records } from the client
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{stored: boolean, seq: number}>} stored is false when the
+ *   backup has a different salt (another device created it first)
+ */
+export async function storeRecords(userId, push, env) {
+  const results = await env.DB.batch([
+    env.DB.prepare(
+      'INSERT INTO sync_backups (user_id, salt, key_check, created_at) VALUES (?, ?, ?, ?) ON CONFLICT (user_id) DO NOTHING'
+    ).bind(userId, push.salt, JSON.stringify(push.keyCheck), new Date().toISOString()),
+    ...push.records.map(record => env.DB.prepare(
+      'INSERT INTO sync_records (user_id, record_id, iv, data, seq) ' +
+      'SELECT ?, ?, ?, ?, (SELECT COALESCE(MAX(seq), 0) + 1 FROM sync_records WHERE user_id = ?) ' +
+      'WHERE EXISTS (SELECT 1 FROM sync_backups WHERE user_id = ? AND salt = ?) ' +
+      'ON CONFLICT (user_id, record_id) DO UPDATE SET iv = excluded.iv, data = excluded.data, seq = excluded.seq'
+    ).bind(userId, record.id, record.iv, record.data, userId, userId, push.salt)),
+    env.DB.prepare(
+      'SELECT salt, (SELECT COALESCE(MAX(seq), 0) FROM sync_records WHERE user_id = ?) AS seq ' +
+      'FROM sync_backups WHERE user_id = ?'
+    ).bind(userId, userId)
+  ]);
+
+  const [row] = results[results.length - 1].results;
+  return { stored: row.salt === push.salt, seq: row.seq };
+}
+
+/**
+ * Delete a user's backup and all its records
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ */
+export async function deleteBackup(userId, env) {
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM sync_records WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM sync_backups WHERE user_id = ?').bind(userId)
+  ]);
+}
+
+async function readBackup(userId, env) {
+  const row = await env.DB.prepare(
+    'SELECT salt, key_check, ' +
+    '(SELECT COALESCE(MAX(seq), 0) FROM sync_records WHERE user_id = ?) AS seq, ' +
+    '(SELECT COUNT(*) FROM sync_records WHERE user_id = ?) AS records ' +
+    'FROM sync_backups WHERE user_id = ?'
+  ).bind(userId, userId, userId).first();
+
+  if (!row) return null;
+  return { salt: row.salt, keyCheck: JSON.parse(row.key_check), seq: row.seq, records: row.records };
+}
+
+/**
+ * Copy a KV backup document ({ salt, keyCheck, seq, records: { [id]: { iv,
+ * data, seq } } }) into D1, keeping its sequence numbers so devices carry on
+ * from the last one they pulled, then drop it from KV
+ * @returns {Promise<boolean>} Whether there was one
+ */
+async function moveKvBackup(userId, env) {
+  const key = `user:${userId}:backup`;
+  const backupJson = await env.GRATITUDE_KV.get(key);
+  if (!backupJson) return false;
+
+  let backup;
+  try {
+    backup = JSON.parse(backupJson);
+  } catch (error) {
+    console.warn('Invalid backup payload for user:', userId, error);
+    return false;
+  }
+
+  // OR IGNORE: a request moving the same backup at the same time wins
+  await env.DB.batch([
+    env.DB.prepare('INSERT OR IGNORE INTO sync_backups (user_id, salt, key_check, created_at) VALUES (?, ?, ?, ?)')
+      .bind(userId, backup.salt, JSON.stringify(backup.keyCheck), new Date().toISOString()),
+    ...Object.entries(backup.records || {}).map(([id, record]) =>
+      env.DB.prepare('INSERT OR IGNORE INTO sync_records (user_id, record_id, iv, data, seq) VALUES (?, ?, ?, ?, ?)')
+        .bind(userId, id, record.iv, record.data, record.seq)
+    )
+  ]);
+  await env.GRATITUDE_KV.delete(key);
+
+  console.log(`Moved KV backup to D1 for user: ${userId}`);
+  return true;
+}
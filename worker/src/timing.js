@@ -0,0 +1,104 @@
+/**
+ * Timing module - "smart timing" weights learned from engagement
+ *
+ * Each local hour of the day gets a weight around 1: above 1 where the user
+ * tends to open reminders or write entries, below 1 where reminders are
+ * ignored or swiped away. Stored under user:{id}:timing as
+ * { weights, samples, learnedAt } so the Settings view can show progress.
+ */
+
+import { ENTRY_WINDOW_MINUTES } from './engagement.js';
+
+export const MIN_TIMING_SAMPLES = 10;
+
+// No hour is ruled out entirely, so habits can still change
+const MIN_WEIGHT = 0.25;
+
+/**
+ * Learn per-hour weights from a user's engagement records
+ * @param {Object} engagement - Records keyed by utcKey (see engagement.js)
+ * @param {string} timezone - IANA timezone string
+ * @param {Date} now - Current time
+ * @returns {{weights: number[]|null, samples: number, learnedAt: string}}
+ *   weights is null while there are fewer than MIN_TIMING_SAMPLES samples
+ */
+export function learnTimingWeights(engagement, timezone, now) {
+  const positive = new Array(24).fill(0);
+  const negative = new Array(24).fill(0);
+  const settledBefore = now.getTime() - ENTRY_WINDOW_MINUTES * 60 * 1000;
+  let samples = 0;
+
+  for (const [utcKey, record] of Object.entries(engagement)) {
+    if (record.unprompted) {
+      positive[localHour(record.entry, timezone)] += 1;
+      samples++;
+      continue;
+    }
+
+    if (!record.delivered) continue;
+
+    const sentAt = `${utcKey}:00Z`;
+    const hour = localHour(sentAt, timezone);
+
+    if (record.entry) {
+      positive[localHour(record.entry, timezone)] += 1;
+    } else if (record.opened) {
+      positive[hour] += 1;
+    } else if (record.dismissed) {
+      // "Later" means the moment was wrong, a swipe means the reminder was
+      if (record.dismissedVia !== 'later') negative[hour] += 0.5;
+    } else if (Date.parse(sentAt) < settledBefore) {
+      negative[hour] += 1;
+    } else {
+      continue;
+    }
+    samples++;
+  }
+
+  const learnedAt = now.toISOString();
+  if (samples < MIN_TIMING_SAMPLES) {
+    return { weights: null, samples, learnedAt };
+  }
+
+  // Smoothed success rate per hour, scaled so an hour without data is 1
+  const weights = positive.map((pos, h) => {
+    const rate = (pos + 1) / (pos + negative[h] + 2);
+    return Math.max(MIN_WEIGHT, Math.round(rate * 2 * 100) / 100);
+  });
+
+  return { weights, samples, learnedAt };
+}
+
+/**
+ * Load a user's stored timing profile
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object|null>}
+ */
+export async function getTimingProfile(userId, env) {
+  const timingJson = await env.GRATITUDE_KV.get(`user:${userId}:timing`);
+  if (!timingJson) return null;
+
+  try {
+    return JSON.parse(timingJson);
+  } catch (error) {
+    console.warn('Invalid timing payload for user:', userId, error);
+    return null;
+  }
+}
+
+/**
+ * Store a user's timing profile
+ * @param {string} userId - User ID
+ * @param {Object} profile - Result of learnTimingWeights
+ * @param {Object} env - Worker environment
+ */
+export async function saveTimingProfile(userId, profile, env) {
+  await env.GRATITUDE_KV.put(`user:${userId}:timing`, JSON.stringify(profile));
+}
+
+function localHour(isoTime, timezone) {
+  const hour = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', hourCycle: 'h23' })
+    .format(new Date(isoTime));
+  return parseInt(hour, 10);
+}
@@ -0,0 +1,79 @@
+/**
+ * VAPID module - the key pairs pushes are signed with
+ *
+ * A subscription is bound to the public key it was created with, so rotating
+ * keys means keeping old pairs until their subscribers have moved on:
+ *
+ * - VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY: the current pair, used for new
+ *   subscriptions
+ * - VAPID_PREVIOUS_KEYS (optional): JSON array of older pairs, newest first,
+ *   e.g. [{"publicKey": "...", "privateKey": "..."}]
+ *
+ * Devices record the public key they subscribed with (vapidPublicKey).
+ * Devices from before that was recorded used the oldest pair still listed,
+ * which is the original one until it is retired.
+ *
+ * Keys may be in any format push.js accepts; public keys are handed out and
+ * compared as raw base64url, the form browsers subscribe with.
+ */
+
+import { rawPublicKey } from './push.js';
+
+/**
+ * Every configured key pair, current first
+ * @param {Object} env - Worker environment
+ * @returns {Array<{publicKey: string, privateKey: string|Object}>}
+ */
+export function getVapidKeys(env) {
+  const keys = [{ publicKey: rawPublicKey(env.VAPID_PUBLIC_KEY), privateKey: env.VAPID_PRIVATE_KEY }];
+  if (!env.VAPID_PREVIOUS_KEYS) return keys;
+
+  try {
+    const previous = JSON.parse(env.VAPID_PREVIOUS_KEYS);
+    if (Array.isArray(previous)) {
+      for (const key of previous) {
+        if (!key || !key.publicKey || !key.privateKey) continue;
+        try {
+          keys.push({ publicKey: rawPublicKey(key.publicKey), privateKey: key.privateKey });
+        } catch (error) {
+          console.error('Invalid key in VAPID_PREVIOUS_KEYS:', error);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Invalid VAPID_PREVIOUS_KEYS:', error);
+  }
+  return keys;
+}
+
+/**
+ * The key pair for new subscriptions
+ * @param {Object} env - Worker environment
+ * @returns {{publicKey: string, privateKey: string|Object}}
+ */
+export function currentVapidKey(env) {
+  return getVapidKeys(env)[0];
+}
+
+/**
+ * The key pair a device's subscription was created with
+ * @param {Object} device - Stored device (see devices.js)
+ * @param {Object} env - Worker environment
+ * @returns {{publicKey: string, privateKey: string|Object}|null} null once that key is retired
+ */
+export function vapidKeyForDevice(device, env) {
+  const keys = getVapidKeys(env);
+  if (!device.vapidPublicKey) return keys[keys.length - 1];
+  return keys.find(key => key.publicKey === device.vapidPublicKey) || null;
+}
+
+/**
+ * The configured public key matching one a client says it subscribed with
+ * @param {string} publicKey - From the client
+ * @param {Object} env - Worker environment
+ * @returns {string|null} null for keys this worker doesn't hold
+ */
+export function findVapidPublicKey(publicKey, env) {
+  const key = getVapidKeys(env).find(k => k.publicKey === publicKey);
+  return key ? key.publicKey : null;
+}
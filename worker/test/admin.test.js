@@ -0,0 +1,27 @@
+import { env } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { get } from './helpers.js';
+
+const ADMIN = { Authorization: 'Bearer test-admin-secret' };
+
+describe('admin user list', () => {
+  it('caps the page size', async () => {
+    for (let i = 0; i < 120; i++) {
+      await env.GRATITUDE_KV.put(`user:user-${String(i).padStart(3, '0')}:settings`, JSON.stringify({ enabled: false }));
+    }
+
+    const first = await (await get('/api/admin/users?limit=1000', ADMIN)).json();
+    expect(first.users).toHaveLength(100);
+    expect(first.cursor).toBeTruthy();
+
+    const second = await (await get(`/api/admin/users?limit=1000&cursor=${encodeURIComponent(first.cursor)}`, ADMIN)).json();
+    expect(second.users.map(user => user.userId)).toEqual(
+      Array.from({ length: 20 }, (_, i) => `user-${100 + i}`)
+    );
+    expect(second.cursor).toBeNull();
+  });
+
+  it('needs the admin secret', async () => {
+    expect((await get('/api/admin/users', { Authorization: 'Bearer wrong' })).status).toBe(401);
+  });
+});
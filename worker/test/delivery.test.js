@@ -0,0 +1,121 @@
+import { env } from 'cloudflare:test';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { claimDueRetries } from '../src/delivery.js';
+import { getDevices, saveDevices, upsertDevice } from '../src/devices.js';
+import { getSchedule } from '../src/schedules.js';
+import { PUBLIC_KEY } from './fixtures.js';
+import { runCron, seedDevices, seedSchedule, utcMinuteKey } from './helpers.js';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+async function queueRetry(userId, deviceId, utcKey, nextAttemptAt) {
+  await env.DB.prepare(
+    'INSERT INTO push_retries (user_id, device_id, utc_key, attempt, next_attempt_at) VALUES (?, ?, ?, 2, ?)'
+  ).bind(userId, deviceId, utcKey, nextAttemptAt.toISOString()).run();
+}
+
+describe('due reminders', () => {
+  it('are sent by the next run when reading them fails', async () => {
+    const utcKey = utcMinuteKey(new Date());
+    await seedSchedule('user', [utcKey]);
+    await seedDevices('user', ['phone']);
+    const fetch = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(null, { status: 201 }));
+
+    const prepare = env.DB.prepare;
+    let failed = false;
+    vi.spyOn(env.DB, 'prepare').mockImplementation(function (query) {
+      if (!failed && query.includes('FROM schedule_buckets')) {
+        failed = true;
+        throw new Error('D1 unavailable');
+      }
+      return prepare.call(this, query);
+    });
+
+    await runCron();
+    expect(failed).toBe(true);
+    expect(fetch).not.toHaveBeenCalled();
+
+    await runCron();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('are sent once when recording the attempt fails', async () => {
+    const utcKey = utcMinuteKey(new Date());
+    await seedSchedule('user', [utcKey]);
+    await seedDevices('user', ['phone']);
+    const fetch = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(null, { status: 201 }));
+
+    const prepare = env.DB.prepare;
+    vi.spyOn(env.DB, 'prepare').mockImplementation(function (query) {
+      if (query.startsWith('INSERT INTO delivery_attempts')) throw new Error('D1 unavailable');
+      return prepare.call(this, query);
+    });
+
+    await runCron();
+    // A later run going over the minute again must not send it again
+    await env.DB.prepare('UPDATE cron_state SET value = ?').bind(utcMinuteKey(new Date(Date.now() - 5 * 60 * 1000))).run();
+    await runCron();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect((await getSchedule('user', env)).sentUtc).toEqual([utcKey]);
+  });
+});
+
+describe('retries', () => {
+  it('are sent once when two cron runs overlap', async () => {
+    // Earlier today, so only the retry is due and not the reminder itself
+    const utcKey = utcMinuteKey(new Date(Date.now() - 30 * 60 * 1000));
+    await seedSchedule('user', [utcKey]);
+    await seedDevices('user', ['phone']);
+    await queueRetry('user', 'phone', utcKey, new Date(Date.now() - 60 * 1000));
+    const fetch = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(null, { status: 201 }));
+
+    await Promise.all([runCron(), runCron()]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const { results } = await env.DB.prepare('SELECT outcome FROM delivery_attempts').all();
+    expect(results).toEqual([{ outcome: 'delivered' }]);
+    expect((await env.DB.prepare('SELECT COUNT(*) AS n FROM push_retries').first()).n).toBe(0);
+  });
+
+  it('come back when a run that claimed them never settles them', async () => {
+    const now = new Date();
+    await queueRetry('user', 'phone', '2026-01-01T09:00', new Date(now.getTime() - 1000));
+
+    expect(await claimDueRetries(now, env)).toHaveLength(1);
+    expect(await claimDueRetries(now, env)).toHaveLength(0);
+    expect(await claimDueRetries(new Date(now.getTime() + 5 * 60 * 1000), env)).toEqual([
+      { userId: 'user', deviceId: 'phone', utcKey: '2026-01-01T09:00', attempt: 2 }
+    ]);
+  });
+});
+
+describe('expiring devices while sending', () => {
+  it('keeps device changes made during the send', async () => {
+    const utcKey = utcMinuteKey(new Date());
+    await seedSchedule('user', [utcKey]);
+    await seedDevices('user', ['phone', 'laptop']);
+
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      if (url.endsWith('/phone')) {
+        // Another device subscribes, and the laptop re-subscribes, mid-send
+        let devices = await getDevices('user', env);
+        devices = upsertDevice(devices, 'tablet', { endpoint: 'https://push.example/send/tablet', keys: {} }, 'Tablet', PUBLIC_KEY);
+        devices = upsertDevice(devices, 'laptop', { endpoint: 'https://push.example/send/laptop-2', keys: {} }, 'Laptop', PUBLIC_KEY);
+        await saveDevices('user', devices, env);
+      }
+      return new Response(null, { status: 410 });
+    });
+
+    await runCron();
+
+    const devices = await getDevices('user', env);
+    expect(Object.fromEntries(devices.map(d => [d.deviceId, d.status]))).toEqual({
+      phone: 'expired',
+      laptop: 'active',
+      tablet: 'active'
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { env } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { getEngagement, pruneEngagementLog } from '../src/engagement.js';
+import { authorize, get, post, seedSchedule, utcMinuteKey } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+
+function reportEvent(userId, event) {
+  return post('/api/events', { userId, token: `reminder-token-${userId}`, events: [event] });
+}
+
+describe('engagement events', () => {
+  it('keeps both of two events reported at once for the same reminder', async () => {
+    const utcKey = utcMinuteKey(new Date(Date.now() - 5 * MINUTE));
+    await seedSchedule('user', [utcKey]);
+
+    const responses = await Promise.all([
+      reportEvent('user', { type: 'delivered', utcKey }),
+      reportEvent('user', { type: 'opened', utcKey })
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([200, 200]);
+    expect(await getEngagement('user', env)).toEqual({
+      [utcKey]: { delivered: expect.any(String), opened: expect.any(String) }
+    });
+  });
+
+  it('keeps the first report of each event type', async () => {
+    const utcKey = utcMinuteKey(new Date(Date.now() - 5 * MINUTE));
+    await seedSchedule('user', [utcKey]);
+
+    const first = new Date(Date.now() - 4 * MINUTE).toISOString();
+    await reportEvent('user', { type: 'dismissed', utcKey, at: first, via: 'later' });
+    await reportEvent('user', { type: 'dismissed', utcKey, via: 'close' });
+
+    expect((await getEngagement('user', env))[utcKey]).toEqual({ dismissed: first, dismissedVia: 'later' });
+  });
+
+  it('credits an entry to the latest reminder in the hour before it', async () => {
+    const now = Date.now();
+    const earlier = utcMinuteKey(new Date(now - 50 * MINUTE));
+    const later = utcMinuteKey(new Date(now - 20 * MINUTE));
+    await seedSchedule('user', [earlier, later]);
+    await reportEvent('user', { type: 'delivered', utcKey: earlier });
+    await reportEvent('user', { type: 'delivered', utcKey: later });
+
+    const at = new Date(now).toISOString();
+    const response = await post('/api/events', {
+      userId: 'user',
+      events: [{ type: 'entry', at }]
+    }, await authorize('user', 'phone'));
+
+    expect(response.status).toBe(200);
+    const engagement = await getEngagement('user', env);
+    expect(engagement[later].entry).toBe(at);
+    expect(engagement[earlier].entry).toBeUndefined();
+  });
+
+  it('keeps an entry without a reminder before it as unprompted', async () => {
+    await seedSchedule('user', []);
+    const at = new Date().toISOString();
+
+    await post('/api/events', { userId: 'user', events: [{ type: 'entry', at }] }, await authorize('user', 'phone'));
+
+    expect(await getEngagement('user', env)).toEqual({ [at.slice(0, 16)]: { entry: at, unprompted: true } });
+  });
+
+  it('moves records from KV and counts them in the stats', async () => {
+    const utcKey = utcMinuteKey(new Date(Date.now() - 90 * MINUTE));
+    const stale = utcMinuteKey(new Date(Date.now() - 40 * 24 * 60 * MINUTE));
+    const delivered = new Date(Date.now() - 89 * MINUTE).toISOString();
+    await env.GRATITUDE_KV.put('user:user:engagement', JSON.stringify({
+      [utcKey]: { delivered, entry: delivered },
+      [stale]: { delivered: stale }
+    }));
+
+    const response = await get('/api/stats/user', await authorize('user', 'phone'));
+
+    expect((await response.json()).stats).toMatchObject({ delivered: 1, ledToEntry: 1 });
+    expect(await env.GRATITUDE_KV.get('user:user:engagement')).toBeNull();
+    expect(await getEngagement('user', env)).toEqual({ [utcKey]: { delivered, entry: delivered } });
+  });
+
+  it('prunes records older than the stats period', async () => {
+    const recent = utcMinuteKey(new Date(Date.now() - 5 * MINUTE));
+    const old = utcMinuteKey(new Date(Date.now() - 31 * 24 * 60 * MINUTE));
+    await seedSchedule('user', [recent]);
+    await reportEvent('user', { type: 'delivered', utcKey: recent });
+    await reportEvent('user', { type: 'delivered', utcKey: old });
+
+    await pruneEngagementLog(new Date(), env);
+
+    const { results } = await env.DB.prepare('SELECT utc_key FROM reminder_engagement').all();
+    expect(results.map(row => row.utc_key)).toEqual([recent]);
+  });
+});
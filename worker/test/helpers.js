@@ -0,0 +1,116 @@
+/**
+ * Helpers for tests that drive the worker through its fetch and scheduled handlers
+ */
+
+import { createExecutionContext, env, waitOnExecutionContext } from 'cloudflare:test';
+import worker from '../src/index.js';
+import { issueDeviceToken } from '../src/auth.js';
+import { saveDevices } from '../src/devices.js';
+import { saveSchedule } from '../src/schedules.js';
+import { PUBLIC_KEY, RFC8291 } from './fixtures.js';
+
+/**
+ * POST a JSON body to the worker
+ * @returns {Promise<Response>}
+ */
+export async function post(path, body, headers = {}) {
+  const request = new Request(`https://worker.test${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, env, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+/**
+ * GET a path from the worker
+ * @returns {Promise<Response>}
+ */
+export async function get(path, headers = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, { headers }), env, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+/**
+ * Credentials for one of a user's devices
+ * @returns {Promise<{Authorization: string}>} Headers for post/get
+ */
+export async function authorize(userId, deviceId) {
+  return { Authorization: `Bearer ${await issueDeviceToken(userId, deviceId, env)}` };
+}
+
+/**
+ * Run one cron trigger to completion
+ */
+export async function runCron(cron = '* * * * *') {
+  const ctx = createExecutionContext();
+  await worker.scheduled({ cron, scheduledTime: Date.now() }, env, ctx);
+  await waitOnExecutionContext(ctx);
+}
+
+export function utcMinuteKey(date) {
+  return date.toISOString().slice(0, 16);
+}
+
+/**
+ * Store a UTC schedule for today with reminders at `utcTimes`
+ * @returns {Promise<Object>} The stored schedule
+ */
+export async function seedSchedule(userId, utcTimes, overrides = {}) {
+  const schedule = {
+    date: new Date().toISOString().slice(0, 10),
+    timezone: 'UTC',
+    remindersPerDay: utcTimes.length,
+    startTime: '00:00',
+    endTime: '23:59',
+    weekly: null,
+    pausedUntil: null,
+    times: utcTimes.map(utcKey => utcKey.slice(11)),
+    utcTimes,
+    windowEndUtc: null,
+    prompts: [],
+    recentPrompts: [],
+    sentUtc: [],
+    snoozes: [],
+    reminderToken: `reminder-token-${userId}`,
+    ...overrides
+  };
+  await saveSchedule(userId, schedule, env);
+  return schedule;
+}
+
+/**
+ * Store active devices for a user, subscribed with the test VAPID key
+ * @param {string} userId
+ * @param {string[]} deviceIds
+ */
+export async function seedDevices(userId, deviceIds) {
+  await saveDevices(userId, deviceIds.map(deviceId => ({
+    deviceId,
+    label: `Device ${deviceId}`,
+    subscription: {
+      endpoint: `https://push.example/send/${deviceId}`,
+      keys: { p256dh: RFC8291.uaPublic, auth: RFC8291.authSecret }
+    },
+    vapidPublicKey: PUBLIC_KEY,
+    createdAt: new Date().toISOString(),
+    lastSeen: null,
+    status: 'active'
+  })), env);
+}
+
+/**
+ * Buckets stored for a user, oldest first
+ * @returns {Promise<string[]>}
+ */
+export async function bucketKeys(userId) {
+  const { results } = await env.DB.prepare('SELECT utc_key FROM schedule_buckets WHERE user_id = ? ORDER BY utc_key')
+    .bind(userId)
+    .all();
+  return results.map(row => row.utc_key);
+}
@@ -0,0 +1,50 @@
+import { env } from 'cloudflare:test';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createPairingCode, pruneExpiredPairingCodes, redeemPairingCode } from '../src/pairing.js';
+import { post } from './helpers.js';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('pairing codes', () => {
+  it('link only one device when redeemed twice at once', async () => {
+    const { code } = await createPairingCode('user', env);
+
+    const responses = await Promise.all([
+      post('/api/pairing/redeem', { code }),
+      post('/api/pairing/redeem', { code })
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 404]);
+  });
+
+  it('accept the code as typed, in any case and grouping', async () => {
+    const { code } = await createPairingCode('user', env);
+
+    expect(await redeemPairingCode(code.toLowerCase().replace('-', ' '), env)).toBe('user');
+    expect(await redeemPairingCode(code, env)).toBeNull();
+  });
+
+  it('expire after five minutes', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.UTC(2026, 0, 1, 9, 0));
+    const { code } = await createPairingCode('user', env);
+
+    vi.setSystemTime(Date.UTC(2026, 0, 1, 9, 5, 1));
+    expect(await redeemPairingCode(code, env)).toBeNull();
+  });
+
+  it('are pruned once expired', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.UTC(2026, 0, 1, 9, 0));
+    await createPairingCode('user', env);
+    vi.setSystemTime(Date.UTC(2026, 0, 1, 9, 3));
+    const { code } = await createPairingCode('user', env);
+
+    await pruneExpiredPairingCodes(new Date(Date.UTC(2026, 0, 1, 9, 6)), env);
+
+    const { results } = await env.DB.prepare('SELECT code FROM pairing_codes').all();
+    expect(results).toEqual([{ code }]);
+  });
+});
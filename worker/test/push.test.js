@@ -0,0 +1,157 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { encryptPayload, getVapidAuthorization, rawPublicKey, sendWebPush } from '../src/push.js';
+import { PRIVATE_KEYS, PUBLIC_JWK, PUBLIC_KEY, PUBLIC_PEM, RFC8291 } from './fixtures.js';
+
+const NOW = Date.UTC(2026, 0, 1);
+
+function fromBase64Url(str) {
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(str.length / 4) * 4, '='));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+}
+
+function parseAuthorization(header) {
+  const [, token, key] = header.match(/^vapid t=([^,]+), k=(\S+)$/);
+  const [encodedHeader, encodedClaims, signature] = token.split('.');
+  return {
+    key,
+    signedPart: `${encodedHeader}.${encodedClaims}`,
+    signature: fromBase64Url(signature),
+    header: JSON.parse(new TextDecoder().decode(fromBase64Url(encodedHeader))),
+    claims: JSON.parse(new TextDecoder().decode(fromBase64Url(encodedClaims)))
+  };
+}
+
+async function verifies({ signedPart, signature }) {
+  const key = await crypto.subtle.importKey('jwk', PUBLIC_JWK, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+  return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, signature, new TextEncoder().encode(signedPart));
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('encryptPayload', () => {
+  it('reproduces the RFC 8291 example', async () => {
+    const asPoint = fromBase64Url(RFC8291.asPublic);
+    const jwk = { kty: 'EC', crv: 'P-256', x: toBase64Url(asPoint.slice(1, 33)), y: toBase64Url(asPoint.slice(33)) };
+    const algorithm = { name: 'ECDH', namedCurve: 'P-256' };
+    const localKeyPair = {
+      privateKey: await crypto.subtle.importKey('jwk', { ...jwk, d: RFC8291.asPrivate }, algorithm, false, ['deriveBits']),
+      publicKey: await crypto.subtle.importKey('jwk', jwk, algorithm, true, [])
+    };
+
+    const body = await encryptPayload(RFC8291.plaintext, RFC8291.uaPublic, RFC8291.authSecret, {
+      localKeyPair,
+      salt: fromBase64Url(RFC8291.salt)
+    });
+
+    expect(toBase64Url(body)).toBe(RFC8291.body);
+  });
+
+  it('uses a fresh salt and key pair for every message', async () => {
+    const first = await encryptPayload('hello', RFC8291.uaPublic, RFC8291.authSecret);
+    const second = await encryptPayload('hello', RFC8291.uaPublic, RFC8291.authSecret);
+
+    expect(toBase64Url(first.slice(0, 16))).not.toBe(toBase64Url(second.slice(0, 16)));
+    expect(toBase64Url(first.slice(21, 86))).not.toBe(toBase64Url(second.slice(21, 86)));
+  });
+});
+
+describe('rawPublicKey', () => {
+  it.each([
+    ['raw', PUBLIC_KEY],
+    ['JWK object', PUBLIC_JWK],
+    ['JWK string', JSON.stringify(PUBLIC_JWK)],
+    ['PEM', PUBLIC_PEM]
+  ])('normalizes a %s public key', (_, publicKey) => {
+    expect(rawPublicKey(publicKey)).toBe(PUBLIC_KEY);
+  });
+
+  it('rejects a key that is not an uncompressed P-256 point', () => {
+    expect(() => rawPublicKey(PUBLIC_KEY.slice(0, 40))).toThrow('uncompressed P-256 point');
+  });
+});
+
+describe('getVapidAuthorization', () => {
+  it.each(Object.keys(PRIVATE_KEYS))('signs a verifiable JWT with a %s private key', async format => {
+    const authorization = await getVapidAuthorization(`https://${format}.push.example/send/1`, {
+      publicKey: format === 'pkcs8' ? PUBLIC_PEM : PUBLIC_KEY,
+      privateKey: PRIVATE_KEYS[format],
+      subject: 'mailto:test@example.com'
+    });
+    const parsed = parseAuthorization(authorization);
+
+    expect(parsed.key).toBe(PUBLIC_KEY);
+    expect(parsed.header).toEqual({ typ: 'JWT', alg: 'ES256' });
+    expect(parsed.claims).toMatchObject({ aud: `https://${format}.push.example`, sub: 'mailto:test@example.com' });
+    expect(await verifies(parsed)).toBe(true);
+  });
+
+  it('reuses a JWT for its audience until shortly before it expires', async () => {
+    const vapid = { publicKey: PUBLIC_KEY, privateKey: PRIVATE_KEYS.raw, subject: 'mailto:cache@example.com' };
+    const now = vi.spyOn(Date, 'now').mockReturnValue(NOW);
+
+    const first = await getVapidAuthorization('https://cache.push.example/send/1', vapid);
+    expect(parseAuthorization(first).claims.exp).toBe(NOW / 1000 + 12 * 60 * 60);
+
+    now.mockReturnValue(NOW + 11 * 60 * 60 * 1000);
+    expect(await getVapidAuthorization('https://cache.push.example/send/2', vapid)).toBe(first);
+
+    now.mockReturnValue(NOW + (12 * 60 - 4) * 60 * 1000);
+    const refreshed = await getVapidAuthorization('https://cache.push.example/send/1', vapid);
+    expect(refreshed).not.toBe(first);
+    expect(parseAuthorization(refreshed).claims.exp).toBe(NOW / 1000 + (24 * 60 - 4) * 60);
+  });
+
+  it('keeps a separate JWT per audience', async () => {
+    const vapid = { publicKey: PUBLIC_KEY, privateKey: PRIVATE_KEYS.raw, subject: 'mailto:audience@example.com' };
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+
+    const first = await getVapidAuthorization('https://one.push.example/send/1', vapid);
+    const second = await getVapidAuthorization('https://two.push.example/send/1', vapid);
+
+    expect(parseAuthorization(first).claims.aud).toBe('https://one.push.example');
+    expect(parseAuthorization(second).claims.aud).toBe('https://two.push.example');
+    expect(await getVapidAuthorization('https://one.push.example/send/2', vapid)).toBe(first);
+  });
+});
+
+describe('sendWebPush', () => {
+  const vapid = { publicKey: PUBLIC_KEY, privateKey: PRIVATE_KEYS.raw, subject: 'mailto:send@example.com' };
+  const subscription = {
+    endpoint: 'https://send.push.example/send/1',
+    keys: { p256dh: RFC8291.uaPublic, auth: RFC8291.authSecret }
+  };
+
+  it('sends an encrypted payload with TTL, Urgency and Topic', async () => {
+    const fetch = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(null, { status: 201 }));
+
+    const response = await sendWebPush(subscription, '{}', vapid, { ttl: 60, urgency: 'high', topic: 'gratitude-reminder' });
+
+    expect(response.status).toBe(201);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe(subscription.endpoint);
+    expect(init.headers).toMatchObject({
+      TTL: '60',
+      Urgency: 'high',
+      Topic: 'gratitude-reminder',
+      'Content-Encoding': 'aes128gcm'
+    });
+    expect(init.body.length).toBe(86 + 2 + 1 + 16);
+  });
+
+  it.each([
+    [{ urgency: 'urgent' }, 'Urgency must be one of'],
+    [{ topic: 'not a topic' }, 'Topic must be'],
+    [{ topic: 'x'.repeat(33) }, 'Topic must be']
+  ])('rejects invalid options %j', async (options, message) => {
+    const fetch = vi.spyOn(globalThis, 'fetch');
+
+    await expect(sendWebPush(subscription, null, vapid, options)).rejects.toThrow(message);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
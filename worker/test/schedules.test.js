@@ -0,0 +1,113 @@
+import { env } from 'cloudflare:test';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getDueBuckets, getSchedule, SCHEDULE_PAGE_SIZE, saveSchedule, updateSchedule } from '../src/schedules.js';
+import { bucketKeys, post, runCron, seedDevices, seedSchedule, utcMinuteKey } from './helpers.js';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('saveSchedule', () => {
+  it('keeps every user\'s schedule and buckets when saves run at once', async () => {
+    const userIds = Array.from({ length: 20 }, (_, i) => `user-${i}`);
+
+    await Promise.all(userIds.map(userId => seedSchedule(userId, ['2026-01-01T09:00', '2026-01-01T12:00'])));
+
+    for (const userId of userIds) {
+      expect((await getSchedule(userId, env)).utcTimes).toEqual(['2026-01-01T09:00', '2026-01-01T12:00']);
+    }
+    const due = await getDueBuckets('2026-01-01T08:59', '2026-01-01T09:00', env);
+    expect(due.map(entry => entry.userId).sort()).toEqual([...userIds].sort());
+  });
+
+  it('replaces the buckets of the previous schedule', async () => {
+    const schedule = await seedSchedule('user', ['2026-01-01T09:00']);
+    await saveSchedule('user', { ...schedule, utcTimes: ['2026-01-01T10:00'] }, env);
+
+    expect(await bucketKeys('user')).toEqual(['2026-01-01T10:00']);
+  });
+});
+
+describe('hourly rollover', () => {
+  it('carries on past a schedule that does not parse', async () => {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const userIds = Array.from({ length: SCHEDULE_PAGE_SIZE + 1 }, (_, i) => `user-${String(i).padStart(3, '0')}`);
+    await Promise.all(userIds.map(userId => seedSchedule(userId, [`${yesterday}T09:00`], { date: yesterday })));
+    await env.DB.prepare('UPDATE schedules SET data = ? WHERE user_id = ?').bind('{', 'user-050').run();
+
+    await runCron('0 * * * *');
+
+    const today = new Date().toISOString().slice(0, 10);
+    const last = userIds[userIds.length - 1];
+    expect((await getSchedule(last, env)).date).toBe(today);
+    expect((await getSchedule('user-049', env)).date).toBe(today);
+  });
+});
+
+describe('updateSchedule', () => {
+  it('applies both of two overlapping updates', async () => {
+    await seedSchedule('user', ['2026-01-01T09:00']);
+    const update = vi.fn(async (schedule) => {
+      // The other update lands between this one's read and write
+      if (update.mock.calls.length === 1) {
+        await updateSchedule('user', env, (other) => {
+          other.sentUtc = ['2026-01-01T09:00'];
+        });
+      }
+      schedule.snoozes = [{ from: '2026-01-01T09:00', utcKey: '2026-01-01T09:30' }];
+    });
+
+    await updateSchedule('user', env, update);
+
+    expect(update).toHaveBeenCalledTimes(2);
+    const schedule = await getSchedule('user', env);
+    expect(schedule.sentUtc).toEqual(['2026-01-01T09:00']);
+    expect(schedule.snoozes).toEqual([{ from: '2026-01-01T09:00', utcKey: '2026-01-01T09:30' }]);
+    expect(await bucketKeys('user')).toEqual(['2026-01-01T09:00', '2026-01-01T09:30']);
+  });
+
+  it('leaves buckets alone when its write loses to a rebuild', async () => {
+    const schedule = await seedSchedule('user', ['2026-01-01T09:00']);
+
+    await updateSchedule('user', env, async (current) => {
+      if (current.date === schedule.date && current.utcTimes.includes('2026-01-01T09:00')) {
+        await saveSchedule('user', { ...schedule, date: '2026-01-02', utcTimes: ['2026-01-02T10:00'] }, env);
+        current.snoozes = [{ from: '2026-01-01T09:00', utcKey: '2026-01-01T09:30' }];
+        return;
+      }
+      // The rebuilt schedule no longer has the reminder being snoozed
+      return false;
+    });
+
+    expect((await getSchedule('user', env)).snoozes).toEqual([]);
+    expect(await bucketKeys('user')).toEqual(['2026-01-02T10:00']);
+  });
+
+  it('returns null without a schedule', async () => {
+    expect(await updateSchedule('nobody', env, () => {})).toBeNull();
+  });
+});
+
+describe('snoozing while the cron sends the reminder', () => {
+  it('keeps the snooze and marks the reminder sent', async () => {
+    const utcKey = utcMinuteKey(new Date());
+    await seedSchedule('user', [utcKey]);
+    await seedDevices('user', ['phone']);
+
+    let snooze;
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => {
+      // The user taps "Later" before the cron has marked the reminder sent
+      snooze = await post('/api/snooze', { userId: 'user', utcKey, token: 'reminder-token-user' });
+      return new Response(null, { status: 201 });
+    });
+
+    await runCron();
+
+    expect(snooze.status).toBe(200);
+    const { utcKey: snoozedKey } = await snooze.json();
+    const schedule = await getSchedule('user', env);
+    expect(schedule.sentUtc).toEqual([utcKey]);
+    expect(schedule.snoozes).toEqual([{ from: utcKey, utcKey: snoozedKey }]);
+    expect(await bucketKeys('user')).toEqual([utcKey, snoozedKey]);
+  });
+});
@@ -0,0 +1,36 @@
+import { env } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { getDevices } from '../src/devices.js';
+import { RFC8291 } from './fixtures.js';
+import { post } from './helpers.js';
+
+const keys = { p256dh: RFC8291.uaPublic, auth: RFC8291.authSecret };
+
+describe('subscribe', () => {
+  it('stores a valid subscription', async () => {
+    const response = await post('/api/subscribe', {
+      userId: 'user',
+      subscription: { endpoint: 'https://push.example/send/1', keys }
+    });
+
+    expect(response.status).toBe(200);
+    const { deviceId } = await response.json();
+    expect((await getDevices('user', env)).map(device => device.deviceId)).toEqual([deviceId]);
+  });
+
+  it.each([
+    ['an endpoint that is not a URL', { endpoint: 'not a url', keys }, 'endpoint'],
+    ['an http endpoint', { endpoint: 'http://push.example/send/1', keys }, 'endpoint'],
+    ['no keys', { endpoint: 'https://push.example/send/1' }, 'p256dh'],
+    ['a short p256dh key', { endpoint: 'https://push.example/send/1', keys: { ...keys, p256dh: keys.p256dh.slice(0, 40) } }, 'p256dh'],
+    ['a p256dh key that is not base64url', { endpoint: 'https://push.example/send/1', keys: { ...keys, p256dh: '!'.repeat(87) } }, 'p256dh'],
+    ['no auth secret', { endpoint: 'https://push.example/send/1', keys: { p256dh: keys.p256dh } }, 'auth'],
+    ['a long auth secret', { endpoint: 'https://push.example/send/1', keys: { ...keys, auth: keys.auth + 'AAAA' } }, 'auth']
+  ])('rejects a subscription with %s', async (_, subscription, field) => {
+    const response = await post('/api/subscribe', { userId: 'user', subscription });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toContain(field);
+    expect(await getDevices('user', env)).toEqual([]);
+  });
+});
@@ -0,0 +1,88 @@
+import { env } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { getBackup, storeRecords } from '../src/sync.js';
+import { authorize, get, post } from './helpers.js';
+
+const KEY_CHECK = { iv: 'check-iv', data: 'check-data' };
+
+function record(id, data = `ciphertext-${id}`) {
+  return { id, iv: `iv-${id}`, data };
+}
+
+async function push(headers, records, salt = 'salt') {
+  return post('/api/sync', { userId: 'user', salt, keyCheck: KEY_CHECK, records }, headers);
+}
+
+async function pull(headers, since = 0) {
+  return (await get(`/api/sync/user?since=${since}`, headers)).json();
+}
+
+describe('sync', () => {
+  it('keeps every record when two devices push at once', async () => {
+    const phone = await authorize('user', 'phone');
+    const laptop = await authorize('user', 'laptop');
+    await push(phone, [record('first')]);
+    // A third device has pulled up to here
+    const { seq: seen } = await pull(phone);
+
+    const responses = await Promise.all([
+      push(phone, ['a', 'b', 'c'].map(id => record(`phone-${id}`))),
+      push(laptop, ['a', 'b', 'c'].map(id => record(`laptop-${id}`)))
+    ]);
+    expect(responses.map(response => response.status)).toEqual([200, 200]);
+
+    const { seq, records } = await pull(phone, seen);
+    expect(records.map(r => r.id).sort()).toEqual([
+      'laptop-a', 'laptop-b', 'laptop-c', 'phone-a', 'phone-b', 'phone-c'
+    ]);
+    expect(records.map(r => r.seq)).toEqual([2, 3, 4, 5, 6, 7]);
+    expect(seq).toBe(7);
+  });
+
+  it('gives a changed record a new sequence number', async () => {
+    const phone = await authorize('user', 'phone');
+    await push(phone, [record('a'), record('b')]);
+    await push(phone, [record('a', 'edited')]);
+
+    const { seq, records } = await pull(phone, 2);
+    expect(seq).toBe(3);
+    expect(records).toEqual([{ id: 'a', iv: 'iv-a', data: 'edited', seq: 3 }]);
+  });
+
+  it('stores the rest of a push when one record is too large', async () => {
+    const phone = await authorize('user', 'phone');
+
+    const response = await push(phone, [record('small'), record('huge', 'x'.repeat(16 * 1024 + 1))]);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ success: true, seq: 1, rejected: [{ id: 'huge', error: 'too large' }] });
+    expect((await pull(phone)).records.map(r => r.id)).toEqual(['small']);
+  });
+
+  it('stores nothing for a device whose salt lost the race to create the backup', async () => {
+    await storeRecords('user', { salt: 'first', keyCheck: KEY_CHECK, records: [record('a')] }, env);
+
+    const result = await storeRecords('user', { salt: 'second', keyCheck: KEY_CHECK, records: [record('b')] }, env);
+
+    expect(result).toEqual({ stored: false, seq: 1 });
+    expect(await getBackup('user', env)).toEqual({ salt: 'first', keyCheck: KEY_CHECK, seq: 1, records: 1 });
+  });
+
+  it('moves a KV backup to D1 with its sequence numbers', async () => {
+    await env.GRATITUDE_KV.put('user:user:backup', JSON.stringify({
+      salt: 'salt',
+      keyCheck: KEY_CHECK,
+      seq: 5,
+      records: { a: { iv: 'iv-a', data: 'old-a', seq: 2 }, b: { iv: 'iv-b', data: 'old-b', seq: 5 } }
+    }));
+    const phone = await authorize('user', 'phone');
+
+    const pulled = await pull(phone, 3);
+
+    expect(pulled).toEqual({ salt: 'salt', keyCheck: KEY_CHECK, seq: 5, records: [{ id: 'b', iv: 'iv-b', data: 'old-b', seq: 5 }] });
+    expect(await env.GRATITUDE_KV.get('user:user:backup')).toBeNull();
+
+    await push(phone, [record('c')]);
+    expect((await pull(phone, 5)).records).toEqual([{ id: 'c', iv: 'iv-c', data: 'ciphertext-c', seq: 6 }]);
+  });
+});
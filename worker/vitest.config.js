@@ -0,0 +1,28 @@
+import path from 'node:path';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
+import { PRIVATE_KEYS, PUBLIC_KEY } from './test/fixtures.js';
+
+export default defineWorkersConfig(async () => {
+  const migrations = await readD1Migrations(path.join(__dirname, 'migrations'));
+
+  return {
+    test: {
+      setupFiles: ['./test/apply-migrations.js'],
+      poolOptions: {
+        workers: {
+          singleWorker: true,
+          wrangler: { configPath: './wrangler.toml' },
+          miniflare: {
+            bindings: {
+              TEST_MIGRATIONS: migrations,
+              VAPID_PUBLIC_KEY: PUBLIC_KEY,
+              VAPID_PRIVATE_KEY: PRIVATE_KEYS.raw,
+              VAPID_SUBJECT: 'mailto:test@example.com',
+              ADMIN_SECRET: 'test-admin-secret'
+            }
+          }
+        }
+      }
+    }
+  };
+});